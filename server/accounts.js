@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const db = require('./db');
+
+// Users, their API keys and the websites they own. Keys are shown once when created
+// and stored as sha256 hashes; `key_prefix` identifies a key in listings.
+
+// Each scope includes the ones after it: admin > translate > read
+const SCOPES = ['admin', 'translate', 'read'];
+const KEY_PREFIX = 'wt_';
+
+const insertUser = db.prepare(`
+  INSERT INTO users (email, name, created_at) VALUES (?, ?, datetime('now'))
+`);
+
+const findUserByEmail = db.prepare('SELECT * FROM users WHERE email = ? COLLATE NOCASE');
+
+const findUserById = db.prepare('SELECT * FROM users WHERE id = ?');
+
+const insertApiKey = db.prepare(`
+  INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, created_at)
+  VALUES (@userId, @name, @keyPrefix, @keyHash, @scopes, datetime('now'))
+`);
+
+const findApiKeyByHash = db.prepare(`
+  SELECT k.id, k.user_id, k.scopes, u.email, u.name AS user_name
+  FROM api_keys k
+  JOIN users u ON k.user_id = u.id
+  WHERE k.key_hash = ? AND k.revoked_at IS NULL
+`);
+
+const findApiKeys = db.prepare(`
+  SELECT id, name, key_prefix, scopes, created_at, last_used_at, revoked_at
+  FROM api_keys
+  WHERE user_id = ?
+  ORDER BY id
+`);
+
+const touchApiKey = db.prepare(`
+  UPDATE api_keys SET last_used_at = datetime('now') WHERE id = ?
+`);
+
+const revokeApiKeyById = db.prepare(`
+  UPDATE api_keys SET revoked_at = datetime('now')
+  WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+`);
+
+const adoptWebsites = db.prepare('UPDATE websites SET user_id = ? WHERE user_id IS NULL');
+
+// Memory entries of adopted websites join the account's memory; where it already has
+// an entry for the same text, that one is kept
+const adoptMemoryEntries = db.prepare(`
+  UPDATE OR IGNORE translation_memory SET user_id = @userId
+  WHERE user_id IS NULL AND website_id IN (SELECT id FROM websites WHERE user_id = @userId)
+`);
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Returns an error message, or null if `scopes` is a non-empty list of known scopes
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || !scopes.length || scopes.some(scope => !SCOPES.includes(scope))) {
+    return `scopes must be a list of: ${SCOPES.join(', ')}`;
+  }
+  return null;
+}
+
+function hasScope(scopes, required) {
+  return scopes.some(scope => SCOPES.indexOf(scope) <= SCOPES.indexOf(required));
+}
+
+// Returns the key itself; only its hash is stored
+function createApiKey(userId, { name = 'default', scopes = ['read'] } = {}) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const result = insertApiKey.run({
+    userId,
+    name,
+    keyPrefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashApiKey(key),
+    scopes: scopes.join(',')
+  });
+  return { id: Number(result.lastInsertRowid), key, name, scopes };
+}
+
+// A new user with an admin key. Returns { user, apiKey }, or null if the email is taken.
+const createAccount = db.transaction(({ email, name = null }) => {
+  if (findUserByEmail.get(email)) return null;
+
+  const result = insertUser.run(email, name);
+  const user = findUserById.get(result.lastInsertRowid);
+  return { user, apiKey: createApiKey(user.id, { name: 'admin', scopes: ['admin'] }) };
+});
+
+// The user and scopes of an active key, or null
+function authenticateApiKey(key) {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+
+  const row = findApiKeyByHash.get(hashApiKey(key));
+  if (!row) return null;
+
+  touchApiKey.run(row.id);
+  return {
+    keyId: row.id,
+    user: { id: row.user_id, email: row.email, name: row.user_name },
+    scopes: row.scopes.split(',')
+  };
+}
+
+function listApiKeys(userId) {
+  return findApiKeys.all(userId).map(key => ({ ...key, scopes: key.scopes.split(',') }));
+}
+
+function revokeApiKey(userId, keyId) {
+  return revokeApiKeyById.run(keyId, userId).changes > 0;
+}
+
+// Give websites registered before accounts existed to `userId`; returns how many
+const adoptUnownedWebsites = db.transaction((userId) => {
+  const adopted = adoptWebsites.run(userId).changes;
+  adoptMemoryEntries.run({ userId });
+  return adopted;
+});
+
+module.exports = {
+  SCOPES,
+  validateScopes,
+  hasScope,
+  createAccount,
+  createApiKey,
+  authenticateApiKey,
+  listApiKeys,
+  revokeApiKey,
+  adoptUnownedWebsites
+};
+
+// `npm run create-account -- <email> [--name <name>] [--adopt]` creates an account and
+// prints its admin key; --adopt gives it every website that has no owner yet
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const nameIndex = args.indexOf('--name');
+  const name = nameIndex === -1 ? null : args[nameIndex + 1];
+  const email = args.find((arg, index) => !arg.startsWith('--') && (nameIndex === -1 || index !== nameIndex + 1));
+
+  if (!email) {
+    console.error('Usage: npm run create-account -- <email> [--name <name>] [--adopt]');
+    process.exit(1);
+  }
+
+  const account = createAccount({ email, name });
+  if (!account) {
+    console.error(`An account for ${email} already exists`);
+    process.exit(1);
+  }
+
+  console.log(`Created account ${account.user.id} for ${email}`);
+  if (args.includes('--adopt')) {
+    console.log(`Adopted ${adoptUnownedWebsites(account.user.id)} existing websites`);
+  }
+  console.log(`Admin API key (shown only once): ${account.apiKey.key}`);
+}
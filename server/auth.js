@@ -0,0 +1,75 @@
+const db = require('./db');
+const { hasScope, authenticateApiKey } = require('./accounts');
+
+// Middleware for /api routes. Requests carry an API key as `Authorization: Bearer <key>`
+// or `X-API-Key`. Reading needs the read scope and anything else the translate scope;
+// routes changing a website's settings add requireScope('admin'). Websites, segments
+// and jobs of other users answer 404, as if they did not exist.
+
+const findOwnedWebsite = db.prepare('SELECT id FROM websites WHERE id = ? AND user_id = ?');
+
+const findOwnedSegment = db.prepare(`
+  SELECT s.id FROM segments s
+  JOIN websites w ON s.website_id = w.id
+  WHERE s.id = ? AND w.user_id = ?
+`);
+
+const findOwnedJob = db.prepare(`
+  SELECT j.id FROM jobs j
+  JOIN websites w ON j.website_id = w.id
+  WHERE j.id = ? AND w.user_id = ?
+`);
+
+const findOwnedMemoryEntry = db.prepare('SELECT id FROM translation_memory WHERE id = ? AND user_id = ?');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function getApiKey(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : req.get('X-API-Key');
+}
+
+function authenticate(req, res, next) {
+  const key = getApiKey(req);
+  if (!key) {
+    return res.status(401).json({ error: 'API key required' });
+  }
+
+  const auth = authenticateApiKey(key);
+  if (!auth) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+
+  req.user = auth.user;
+  req.scopes = auth.scopes;
+  requireScope(READ_METHODS.includes(req.method) ? 'read' : 'translate')(req, res, next);
+}
+
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!hasScope(req.scopes || [], scope)) {
+      return res.status(403).json({ error: `This API key needs the ${scope} scope` });
+    }
+    next();
+  };
+}
+
+// 404 unless the record named by `param` belongs to the authenticated user
+function requireOwned(statement, param, notFound) {
+  return (req, res, next) => {
+    if (!statement.get(req.params[param], req.user.id)) {
+      return res.status(404).json({ error: notFound });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireScope,
+  requireWebsiteOwner: requireOwned(findOwnedWebsite, 'websiteId', 'Website not found'),
+  requireSegmentOwner: requireOwned(findOwnedSegment, 'segmentId', 'Segment not found'),
+  requireJobOwner: requireOwned(findOwnedJob, 'jobId', 'Job not found'),
+  requireMemoryEntryOwner: requireOwned(findOwnedMemoryEntry, 'entryId', 'Translation memory entry not found')
+};
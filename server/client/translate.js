@@ -0,0 +1,637 @@
+// Embeddable translation script. A site owner adds it to their own pages:
+//
+//   <script src="https://translator.example.com/client/translate.js"
+//     data-domain="example.com" data-switcher="bottom-right" defer></script>
+//
+// It fetches the published translations of the current page from
+// /api/client/translations, swaps text in place using the same segmentation as
+// server/segmenter.js, and translates content inserted later through a
+// MutationObserver. The language switcher remembers the visitor's choice.
+//
+// Options, as data attributes on the script tag:
+//   data-domain     - website domain registered with the server (default: location.hostname)
+//   data-switcher   - "bottom-right" (default), "bottom-left", "none", or a CSS selector
+//                     of the element to render the switcher into
+//   data-languages  - comma-separated languages to offer (default: every published one)
+//   data-detect     - "true" to start in the browser's language when nothing is stored
+(function () {
+  'use strict';
+
+  var script = document.currentScript;
+  if (!script) return;
+
+  var API_BASE = new URL(script.src).origin + '/api';
+  var STORAGE_KEY = 'website-translator:language';
+  var config = {
+    domain: script.dataset.domain || location.hostname,
+    switcher: script.dataset.switcher || 'bottom-right',
+    languages: script.dataset.languages ? script.dataset.languages.split(',').map(function (code) { return code.trim(); }) : null,
+    detect: script.dataset.detect === 'true'
+  };
+
+  // Kept in sync with server/segmenter.js
+  var INLINE_ELEMENTS = new Set([
+    'a', 'abbr', 'b', 'bdi', 'bdo', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'font',
+    'i', 'ins', 'kbd', 'label', 'mark', 'q', 's', 'samp', 'small', 'span', 'strong',
+    'sub', 'sup', 'time', 'u', 'var'
+  ]);
+  var VOID_INLINE_ELEMENTS = new Set(['br', 'img', 'input', 'wbr']);
+  var SKIPPED_ELEMENTS = new Set([
+    'script', 'style', 'noscript', 'template', 'svg', 'math', 'iframe', 'object',
+    'canvas', 'video', 'audio', 'select', 'textarea', 'head'
+  ]);
+  var NO_TRANSLATE_SELECTOR = '[translate="no" i], .notranslate, [data-no-translate]';
+  var PLACEHOLDER_PATTERN = /<(\/?)([gx])(\d+)(\/?)>/g;
+  var TRANSLATABLE_ATTRIBUTES = [
+    { selector: 'img[alt], area[alt], input[type="image"][alt]', attribute: 'alt' },
+    { selector: '[title]', attribute: 'title' },
+    { selector: 'input[placeholder], textarea[placeholder]', attribute: 'placeholder' },
+    { selector: '[aria-label]', attribute: 'aria-label' },
+    { selector: 'button[value], input[type="submit"][value], input[type="button"][value], input[type="reset"][value]', attribute: 'value' }
+  ];
+  var TRANSLATABLE_META = [
+    'description', 'keywords',
+    'og:title', 'og:description', 'og:site_name', 'og:image:alt',
+    'twitter:title', 'twitter:description', 'twitter:image:alt'
+  ];
+
+  var state = {
+    site: null,
+    language: null,
+    translations: new Map(),
+    // Texts already sent to the lookup endpoint
+    requested: new Set(),
+    // Undo records for everything swapped, so the original can be restored
+    applied: [],
+    // Nodes inserted by this script, skipped when the DOM is walked again
+    inserted: new WeakSet(),
+    observer: null
+  };
+
+  // --- Segmentation -------------------------------------------------------
+
+  function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  function isElement(node) {
+    return node.nodeType === Node.ELEMENT_NODE;
+  }
+
+  function tagName(node) {
+    return node.localName;
+  }
+
+  function matchesAny(element, selectors) {
+    return selectors.some(function (selector) {
+      try {
+        return element.matches(selector);
+      } catch (e) {
+        return false;
+      }
+    });
+  }
+
+  function createScope(rules) {
+    var exclude = [NO_TRANSLATE_SELECTOR].concat(rules.exclude || []);
+    var include = rules.include || [];
+
+    var isExcluded = function (node) {
+      return isElement(node) && matchesAny(node, exclude);
+    };
+    var isIncluded = function (node) {
+      return !include.length || (isElement(node) && matchesAny(node, include));
+    };
+    var isInside = function (node, test) {
+      for (var current = node; current && current !== document; current = current.parentNode) {
+        if (test(current)) return true;
+      }
+      return false;
+    };
+
+    var scope = {
+      isExcluded: isExcluded,
+      isIncluded: isIncluded,
+      isInsideExcluded: function (node) { return isInside(node, isExcluded); },
+      isInsideIncluded: function (node) { return !include.length || isInside(node, isIncluded); }
+    };
+    scope.isTranslatable = function (node) {
+      return !scope.isInsideExcluded(node) && scope.isInsideIncluded(node);
+    };
+    return scope;
+  }
+
+  function isInline(node) {
+    if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.COMMENT_NODE) return true;
+    if (!isElement(node)) return false;
+    if (VOID_INLINE_ELEMENTS.has(tagName(node))) return true;
+    return INLINE_ELEMENTS.has(tagName(node)) && Array.prototype.every.call(node.childNodes, isInline);
+  }
+
+  function isAtomic(node, scope) {
+    return VOID_INLINE_ELEMENTS.has(tagName(node)) || scope.isExcluded(node);
+  }
+
+  function hasText(nodes, scope) {
+    return nodes.some(function (node) {
+      return (node.nodeType === Node.TEXT_NODE && node.data.trim()) ||
+        (isElement(node) && !isAtomic(node, scope) && hasText(Array.from(node.childNodes), scope));
+    });
+  }
+
+  function isBoundaryNode(node, scope) {
+    return (node.nodeType === Node.TEXT_NODE && !node.data.trim()) ||
+      node.nodeType === Node.COMMENT_NODE ||
+      (isElement(node) && isAtomic(node, scope));
+  }
+
+  function unwrapRun(nodes, container, scope) {
+    var start = 0;
+    var end = nodes.length;
+    while (start < end && isBoundaryNode(nodes[start], scope)) start++;
+    while (end > start && isBoundaryNode(nodes[end - 1], scope)) end--;
+
+    var trimmed = nodes.slice(start, end);
+    if (trimmed.length === 1 && isElement(trimmed[0])) {
+      return unwrapRun(Array.from(trimmed[0].childNodes), trimmed[0], scope);
+    }
+    return { nodes: trimmed, container: container };
+  }
+
+  function encodeNodes(nodes, placeholders, scope) {
+    return nodes.map(function (node) {
+      if (node.nodeType === Node.TEXT_NODE) return escapeText(node.data);
+      if (!isElement(node)) return '';
+
+      var excluded = scope.isExcluded(node);
+      placeholders.push({ node: node, atomic: excluded || VOID_INLINE_ELEMENTS.has(tagName(node)) });
+      var id = placeholders.length;
+      if (placeholders[id - 1].atomic) return '<x' + id + '/>';
+      return '<g' + id + '>' + encodeNodes(Array.from(node.childNodes), placeholders, scope) + '</g' + id + '>';
+    }).join('');
+  }
+
+  function splitRun(nodes, scope) {
+    var hasDirectText = nodes.some(function (node) {
+      return node.nodeType === Node.TEXT_NODE && node.data.trim();
+    });
+    var items = nodes.filter(function (node) { return isElement(node) && !isAtomic(node, scope); });
+    return !hasDirectText && items.length > 1 ? items.map(function (item) { return [item]; }) : [nodes];
+  }
+
+  function createSegment(nodes, parent, scope) {
+    if (!hasText(nodes, scope)) return null;
+    if (nodes.every(function (node) { return state.inserted.has(node); })) return null;
+
+    var run = unwrapRun(nodes, parent, scope);
+    var placeholders = [];
+    var text = encodeNodes(run.nodes, placeholders, scope).replace(/\s+/g, ' ').trim();
+    if (!text || run.nodes.some(function (node) { return state.inserted.has(node); })) return null;
+
+    return { type: 'text', text: text, nodes: run.nodes, placeholders: placeholders };
+  }
+
+  // Text segments under `root`, which is walked like a block container
+  function collectTextSegments(root, scope) {
+    var segments = [];
+
+    function walk(element, included) {
+      var run = [];
+      var flush = function () {
+        if (included) {
+          splitRun(run, scope).forEach(function (nodes) {
+            var segment = createSegment(nodes, element, scope);
+            if (segment) segments.push(segment);
+          });
+        }
+        run = [];
+      };
+
+      Array.from(element.childNodes).forEach(function (child) {
+        if (isInline(child)) {
+          run.push(child);
+          return;
+        }
+
+        flush();
+        if (isElement(child) && !SKIPPED_ELEMENTS.has(tagName(child)) && !scope.isExcluded(child) &&
+          child.id !== 'website-translator-switcher') {
+          walk(child, included || scope.isIncluded(child));
+        }
+      });
+      flush();
+    }
+
+    if (!scope.isInsideExcluded(root)) {
+      walk(root, scope.isInsideIncluded(root));
+    }
+    return segments;
+  }
+
+  function valueSegment(type, element, attribute, value) {
+    var text = escapeText((value || '').replace(/\s+/g, ' ').trim());
+    return text ? { type: type, text: text, element: element, attribute: attribute } : null;
+  }
+
+  // Title, meta tags and attributes under `root`
+  function collectValueSegments(root, scope) {
+    var segments = [];
+    var add = function (segment) {
+      if (segment && scope.isTranslatable(segment.element)) segments.push(segment);
+    };
+
+    if (root === document.body) {
+      var title = document.querySelector('head title');
+      if (title) add(valueSegment('title', title, null, title.textContent));
+
+      document.querySelectorAll('meta[content]').forEach(function (meta) {
+        var key = meta.getAttribute('name') || meta.getAttribute('property');
+        if (key && TRANSLATABLE_META.indexOf(key.toLowerCase()) !== -1) {
+          add(valueSegment('meta', meta, 'content', meta.getAttribute('content')));
+        }
+      });
+    }
+
+    TRANSLATABLE_ATTRIBUTES.forEach(function (rule) {
+      var elements = Array.from(root.querySelectorAll(rule.selector));
+      if (isElement(root) && root.matches(rule.selector)) elements.unshift(root);
+      elements.forEach(function (element) {
+        if (tagName(element) === 'meta' || element.closest('svg, template, noscript')) return;
+        add(valueSegment('attribute', element, rule.attribute, element.getAttribute(rule.attribute)));
+      });
+    });
+
+    return segments;
+  }
+
+  // --- Rendering ----------------------------------------------------------
+
+  var decoder = document.createElement('textarea');
+
+  function decodeText(html) {
+    decoder.innerHTML = html.replace(/</g, '&lt;');
+    return decoder.value;
+  }
+
+  function hasValidPlaceholders(text, placeholders) {
+    var open = [];
+    var matches = Array.from(text.matchAll(PLACEHOLDER_PATTERN));
+    for (var i = 0; i < matches.length; i++) {
+      var closing = matches[i][1];
+      var kind = matches[i][2];
+      var id = matches[i][3];
+      var placeholder = placeholders[Number(id) - 1];
+      if (!placeholder) return false;
+
+      if (kind === 'x') {
+        if (closing || !matches[i][4] || !placeholder.atomic) return false;
+      } else if (closing) {
+        if (open.pop() !== id) return false;
+      } else {
+        if (matches[i][4] || placeholder.atomic) return false;
+        open.push(id);
+      }
+    }
+    return open.length === 0;
+  }
+
+  // DOM nodes for a translated segment, with placeholders rebuilt from copies of the
+  // original elements; without valid placeholders the text is used without markup
+  function buildNodes(translatedText, placeholders) {
+    var useMarkup = hasValidPlaceholders(translatedText, placeholders);
+    var fragment = document.createDocumentFragment();
+    var stack = [fragment];
+    var lastIndex = 0;
+
+    var appendText = function (text) {
+      if (text) stack[stack.length - 1].appendChild(document.createTextNode(decodeText(text)));
+    };
+
+    Array.from(translatedText.matchAll(PLACEHOLDER_PATTERN)).forEach(function (match) {
+      appendText(translatedText.slice(lastIndex, match.index));
+      lastIndex = match.index + match[0].length;
+      if (!useMarkup) return;
+
+      var placeholder = placeholders[Number(match[3]) - 1];
+      if (match[2] === 'x') {
+        stack[stack.length - 1].appendChild(placeholder.node.cloneNode(true));
+      } else if (match[1]) {
+        stack.pop();
+      } else {
+        var element = placeholder.node.cloneNode(false);
+        stack[stack.length - 1].appendChild(element);
+        stack.push(element);
+      }
+    });
+    appendText(translatedText.slice(lastIndex));
+
+    return Array.from(fragment.childNodes);
+  }
+
+  function applySegment(segment, translatedText) {
+    if (segment.type === 'title') {
+      state.applied.push({ element: segment.element, text: segment.element.textContent });
+      segment.element.textContent = decodeText(translatedText.replace(PLACEHOLDER_PATTERN, ''));
+      return;
+    }
+    if (segment.type !== 'text') {
+      state.applied.push({
+        element: segment.element,
+        attribute: segment.attribute,
+        value: segment.element.getAttribute(segment.attribute)
+      });
+      segment.element.setAttribute(segment.attribute, decodeText(translatedText.replace(PLACEHOLDER_PATTERN, '')));
+      return;
+    }
+
+    var nodes = segment.nodes;
+    var first = nodes[0];
+    var last = nodes[nodes.length - 1];
+    var leading = first.nodeType === Node.TEXT_NODE ? first.data.match(/^\s*/)[0] : '';
+    var trailing = last.nodeType === Node.TEXT_NODE ? last.data.match(/\s*$/)[0] : '';
+
+    var replacement = buildNodes(translatedText, segment.placeholders);
+    if (leading) replacement.unshift(document.createTextNode(leading));
+    if (trailing) replacement.push(document.createTextNode(trailing));
+
+    var parent = first.parentNode;
+    replacement.forEach(function (node) {
+      parent.insertBefore(node, first);
+      state.inserted.add(node);
+      if (isElement(node)) {
+        node.querySelectorAll('*').forEach(function (child) { state.inserted.add(child); });
+        Array.from(node.childNodes).forEach(function (child) { state.inserted.add(child); });
+      }
+    });
+    nodes.forEach(function (node) { parent.removeChild(node); });
+    state.applied.push({ parent: parent, original: nodes, replacement: replacement });
+  }
+
+  // Put back everything swapped, newest first
+  function restoreOriginal() {
+    state.applied.reverse().forEach(function (record) {
+      if (record.replacement) {
+        var anchor = record.replacement.find(function (node) { return node.parentNode === record.parent; });
+        if (!anchor) return;
+        record.original.forEach(function (node) { record.parent.insertBefore(node, anchor); });
+        record.replacement.forEach(function (node) {
+          if (node.parentNode) node.parentNode.removeChild(node);
+        });
+      } else if (record.attribute) {
+        record.element.setAttribute(record.attribute, record.value);
+      } else {
+        record.element.textContent = record.text;
+      }
+    });
+    state.applied = [];
+  }
+
+  // --- Translation --------------------------------------------------------
+
+  function withoutObserver(fn) {
+    if (state.observer) state.observer.disconnect();
+    try {
+      fn();
+    } finally {
+      if (state.observer) {
+        state.observer.takeRecords();
+        observe();
+      }
+    }
+  }
+
+  function translateRoot(root) {
+    if (!state.site || state.language === state.site.sourceLanguage) return;
+
+    var scope = createScope(state.site.rules);
+    var segments = collectValueSegments(root, scope).concat(collectTextSegments(root, scope));
+    var missing = [];
+
+    withoutObserver(function () {
+      segments.forEach(function (segment) {
+        var translatedText = state.translations.get(segment.text);
+        if (translatedText) {
+          applySegment(segment, translatedText);
+        } else if (!state.requested.has(segment.text)) {
+          missing.push(segment.text);
+        }
+      });
+    });
+
+    if (missing.length) lookUp(root, missing);
+  }
+
+  // Texts that aren't stored for this page may be stored elsewhere on the website
+  function lookUp(root, texts) {
+    var language = state.language;
+    var batch = texts.slice(0, 200);
+    batch.forEach(function (text) { state.requested.add(text); });
+
+    fetch(API_BASE + '/client/translations/lookup', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ domain: config.domain, language: language, texts: batch })
+    })
+      .then(function (response) { return response.ok ? response.json() : { translations: {} }; })
+      .then(function (data) {
+        var found = Object.keys(data.translations);
+        if (language !== state.language || !found.length) return;
+        found.forEach(function (text) { state.translations.set(text, data.translations[text]); });
+        translateRoot(root.isConnected ? root : document.body);
+      })
+      .catch(function (error) {
+        console.warn('Website translator: lookup failed', error);
+      });
+
+    if (texts.length > batch.length) lookUp(root, texts.slice(batch.length));
+  }
+
+  // The closest ancestor that is walked as a block, so a changed inline element is
+  // segmented together with the rest of its run
+  function blockContainer(node) {
+    var element = isElement(node) ? node : node.parentNode;
+    while (element && element !== document.body && element.parentNode && isInline(element)) {
+      element = element.parentNode;
+    }
+    return element && element.nodeType === Node.ELEMENT_NODE ? element : null;
+  }
+
+  var pendingRoots = new Set();
+  var flushScheduled = false;
+
+  function onMutations(mutations) {
+    mutations.forEach(function (mutation) {
+      if (state.inserted.has(mutation.target) && mutation.type === 'characterData') return;
+      var root = blockContainer(mutation.target);
+      if (root && !root.closest('#website-translator-switcher')) pendingRoots.add(root);
+    });
+
+    if (!flushScheduled && pendingRoots.size) {
+      flushScheduled = true;
+      setTimeout(function () {
+        flushScheduled = false;
+        var roots = Array.from(pendingRoots);
+        pendingRoots.clear();
+        // Roots inside another pending root are covered by it
+        roots
+          .filter(function (root) {
+            return root.isConnected && !roots.some(function (other) { return other !== root && other.contains(root); });
+          })
+          .forEach(translateRoot);
+      }, 50);
+    }
+  }
+
+  function observe() {
+    state.observer.observe(document.body, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: TRANSLATABLE_ATTRIBUTES.map(function (rule) { return rule.attribute; })
+    });
+  }
+
+  function loadTranslations(language) {
+    var params = new URLSearchParams({ domain: config.domain, path: location.pathname, language: language });
+    return fetch(API_BASE + '/client/translations?' + params.toString())
+      .then(function (response) {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.json();
+      });
+  }
+
+  function setDocumentLanguage(language) {
+    var entry = state.site.languages.find(function (item) { return item.code === language; });
+    document.documentElement.setAttribute('lang', language);
+    document.documentElement.setAttribute('dir', entry ? entry.direction : 'ltr');
+  }
+
+  // `remember` stores a visitor's choice for their next visit
+  function switchLanguage(language, remember) {
+    if (remember) {
+      try {
+        localStorage.setItem(STORAGE_KEY, language);
+      } catch (e) {
+        // Storage may be unavailable (private browsing); the choice lasts for this page
+      }
+    }
+
+    return loadTranslations(language).then(function (site) {
+      withoutObserver(restoreOriginal);
+      state.site = site;
+      state.language = site.language;
+      state.translations = new Map(Object.keys(site.translations).map(function (text) {
+        return [text, site.translations[text]];
+      }));
+      state.requested = new Set();
+      setDocumentLanguage(site.language);
+      translateRoot(document.body);
+      renderSwitcher();
+    });
+  }
+
+  // --- Language switcher --------------------------------------------------
+
+  function languageName(code) {
+    try {
+      var name = new Intl.DisplayNames([code], { type: 'language' }).of(code);
+      return name ? name.charAt(0).toUpperCase() + name.slice(1) : code;
+    } catch (e) {
+      return code;
+    }
+  }
+
+  function offeredLanguages() {
+    var codes = state.site.languages.map(function (item) { return item.code; });
+    return config.languages
+      ? codes.filter(function (code) { return code === state.site.sourceLanguage || config.languages.indexOf(code) !== -1; })
+      : codes;
+  }
+
+  function renderSwitcher() {
+    if (config.switcher === 'none') return;
+    var languages = offeredLanguages();
+
+    var container = document.getElementById('website-translator-switcher');
+    if (!container) {
+      container = document.createElement('div');
+      container.id = 'website-translator-switcher';
+      container.setAttribute('translate', 'no');
+
+      var corner = { 'bottom-right': 'right', 'bottom-left': 'left' }[config.switcher];
+      var target = corner ? document.body : document.querySelector(config.switcher);
+      if (!target) return;
+      if (corner) {
+        container.style.cssText = 'position:fixed;bottom:16px;' + corner + ':16px;z-index:2147483647;';
+      }
+      withoutObserver(function () { target.appendChild(container); });
+    }
+
+    var select = document.createElement('select');
+    select.setAttribute('aria-label', 'Language');
+    select.style.cssText = 'font:inherit;padding:4px 8px;border-radius:4px;';
+    languages.forEach(function (code) {
+      var option = document.createElement('option');
+      option.value = code;
+      option.textContent = languageName(code);
+      option.selected = code === state.language;
+      select.appendChild(option);
+    });
+    select.addEventListener('change', function () {
+      switchLanguage(select.value, true).catch(function (error) {
+        console.warn('Website translator: could not switch language', error);
+      });
+    });
+
+    withoutObserver(function () {
+      container.replaceChildren(select);
+    });
+  }
+
+  // --- Start --------------------------------------------------------------
+
+  function initialLanguage(site) {
+    var codes = site.languages.map(function (item) { return item.code; });
+    var requested = new URLSearchParams(location.search).get('lang');
+    var stored = null;
+    try {
+      stored = localStorage.getItem(STORAGE_KEY);
+    } catch (e) {
+      // Storage unavailable
+    }
+
+    var detected = config.detect && (navigator.languages || [navigator.language])
+      .map(function (code) { return String(code).split('-')[0]; })
+      .find(function (code) { return codes.indexOf(code) !== -1; });
+
+    return [requested, stored, detected].find(function (code) {
+      return code && codes.indexOf(code) !== -1;
+    }) || site.sourceLanguage;
+  }
+
+  function start() {
+    state.observer = new MutationObserver(onMutations);
+    loadTranslations('')
+      .then(function (site) {
+        state.site = site;
+        state.language = site.sourceLanguage;
+        var language = initialLanguage(site);
+        observe();
+        if (language === site.sourceLanguage) {
+          renderSwitcher();
+          return null;
+        }
+        return switchLanguage(language, false);
+      })
+      .catch(function (error) {
+        console.warn('Website translator: could not load translations', error);
+      });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+  } else {
+    start();
+  }
+})();
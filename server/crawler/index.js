@@ -0,0 +1,234 @@
+const cheerio = require('cheerio');
+const { createRobotsPolicy } = require('./robots');
+const { readSitemaps } = require('./sitemap');
+const { matchesAny } = require('../utils/glob');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { normalizePath } = require('../utils/paths');
+const { safeRequest } = require('../fetcher');
+
+// Discovers the pages of a website: seeds from the start URL and its sitemaps, then
+// follows same-origin links breadth-first, one depth level at a time.
+
+// Name matched against User-agent groups in robots.txt
+const ROBOTS_AGENT = 'website-translator';
+// Longest Crawl-delay honored, in seconds
+const MAX_CRAWL_DELAY = 30;
+
+const DEFAULT_OPTIONS = {
+  maxPages: 20,
+  maxDepth: 3,
+  include: [],
+  exclude: [],
+  concurrency: 2,
+  useSitemaps: true,
+  respectRobots: true
+};
+
+const LIMITS = { maxPages: 1000, maxDepth: 10, concurrency: 8 };
+
+// Links to these are files, not pages
+const NON_PAGE_EXTENSIONS = /\.(jpe?g|png|gif|webp|svg|ico|css|js|json|xml|txt|pdf|docx?|xlsx?|pptx?|zip|gz|mp3|mp4|webm|woff2?|ttf)$/i;
+
+// Returns { options } with defaults applied, or { error }
+function validateCrawlOptions(input = {}) {
+  const options = { ...DEFAULT_OPTIONS };
+
+  for (const name of ['maxPages', 'maxDepth', 'concurrency']) {
+    if (input[name] === undefined) continue;
+    const value = Number(input[name]);
+    const min = name === 'maxDepth' ? 0 : 1;
+    if (!Number.isInteger(value) || value < min || value > LIMITS[name]) {
+      return { error: `${name} must be an integer between ${min} and ${LIMITS[name]}` };
+    }
+    options[name] = value;
+  }
+
+  for (const name of ['include', 'exclude']) {
+    if (input[name] === undefined) continue;
+    if (!Array.isArray(input[name]) || input[name].some(glob => typeof glob !== 'string' || !glob)) {
+      return { error: `${name} must be an array of path patterns` };
+    }
+    options[name] = input[name];
+  }
+
+  for (const name of ['useSitemaps', 'respectRobots']) {
+    if (input[name] !== undefined) options[name] = Boolean(input[name]);
+  }
+
+  return { options };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Sitemaps may be up to 50MB uncompressed
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+async function fetchUrl(url, responseType = 'text', maxBytes = undefined) {
+  const response = await safeRequest(url, { responseType, maxBytes, validateStatus: () => true });
+  return {
+    status: response.status,
+    contentType: response.headers['content-type'] || '',
+    finalUrl: response.finalUrl,
+    data: response.data
+  };
+}
+
+// The stored form of a same-origin page URL: its normalized path. Query strings are
+// dropped, since pages are fetched, stored and served by path alone (see utils/paths.js).
+// Null for anything that isn't a page on this origin.
+function toPagePath(href, base, origin) {
+  let url;
+  try {
+    url = new URL(href, base);
+  } catch (e) {
+    return null;
+  }
+
+  if (url.origin !== origin || NON_PAGE_EXTENSIONS.test(url.pathname)) return null;
+
+  return normalizePath(url.pathname);
+}
+
+// Crawl a website from `startUrl`. `onPage(page)` is called as each page is found, with
+// { path, url, title, textCount, depth, source, canonicalUrl, statusCode }.
+// Resolves to { pages, skipped, sitemapUrls, crawlDelay }.
+async function crawlWebsite(startUrl, options, { signal, onPage } = {}) {
+  const start = new URL(startUrl);
+  const { origin } = start;
+  const { maxPages, maxDepth, include, exclude } = options;
+
+  let robots = createRobotsPolicy('', ROBOTS_AGENT);
+  if (options.respectRobots) {
+    const response = await fetchUrl(`${origin}/robots.txt`).catch(() => null);
+    if (response && response.status === 200) {
+      robots = createRobotsPolicy(String(response.data), ROBOTS_AGENT);
+    }
+  }
+
+  const crawlDelay = Math.min(robots.crawlDelay || 0, MAX_CRAWL_DELAY);
+  const concurrency = crawlDelay ? 1 : options.concurrency;
+
+  const pages = [];
+  const skipped = { robots: 0, excluded: 0, duplicates: 0, errors: 0 };
+  const seen = new Set();
+  let fetched = 0;
+
+  // Whether a discovered path should be visited; counts the reason when it isn't
+  const shouldVisit = (path) => {
+    if (seen.has(path)) return false;
+    seen.add(path);
+    if (!robots.isAllowed(path)) {
+      skipped.robots++;
+      return false;
+    }
+    if ((include.length && !matchesAny(path, include)) || matchesAny(path, exclude)) {
+      skipped.excluded++;
+      return false;
+    }
+    return true;
+  };
+
+  // The start page is visited even outside the include rules so its links are followed
+  const startPath = toPagePath(start.href, start.href, origin) || '/';
+  seen.add(startPath);
+  let level = [];
+  if (robots.isAllowed(startPath)) {
+    level.push({ path: startPath, source: 'start' });
+  } else {
+    skipped.robots++;
+  }
+
+  let sitemapUrls = [];
+  if (options.useSitemaps) {
+    const sitemaps = robots.sitemaps.length ? robots.sitemaps : [`${origin}/sitemap.xml`];
+    sitemapUrls = await readSitemaps(sitemaps, {
+      maxUrls: maxPages * 5,
+      signal,
+      fetchBuffer: async (url) => {
+        const response = await fetchUrl(url, 'arraybuffer', MAX_SITEMAP_BYTES);
+        return response.status === 200 ? Buffer.from(response.data) : null;
+      }
+    });
+    sitemapUrls.forEach(url => {
+      const path = toPagePath(url, origin, origin);
+      if (path && shouldVisit(path)) level.push({ path, source: 'sitemap' });
+    });
+  }
+
+  const visit = async ({ path, source }, depth, next) => {
+    if ((signal && signal.aborted) || fetched >= maxPages) return;
+    fetched++;
+    if (crawlDelay) await sleep(crawlDelay * 1000);
+
+    let response;
+    try {
+      response = await fetchUrl(`${origin}${path}`);
+    } catch (error) {
+      console.error(`Error crawling ${path}:`, error.message);
+      skipped.errors++;
+      return;
+    }
+
+    if (response.status >= 400 || !/html/i.test(response.contentType) ||
+      new URL(response.finalUrl).origin !== origin) {
+      skipped.errors++;
+      return;
+    }
+
+    const $ = cheerio.load(response.data);
+    const pageUrl = response.finalUrl;
+
+    // Pages naming another page as canonical are duplicates of it
+    const canonicalHref = $('link[rel="canonical"]').attr('href');
+    const canonicalPath = canonicalHref && toPagePath(canonicalHref, pageUrl, origin);
+    let pagePath = path;
+    if (canonicalPath && canonicalPath !== path) {
+      // Already queued or crawled under its canonical path
+      if (seen.has(canonicalPath)) {
+        skipped.duplicates++;
+        return;
+      }
+      seen.add(canonicalPath);
+      pagePath = canonicalPath;
+    }
+
+    const isStart = source === 'start';
+    const matchesRules = (!include.length || matchesAny(pagePath, include)) && !matchesAny(pagePath, exclude);
+    if (!isStart || matchesRules) {
+      const page = {
+        path: pagePath,
+        url: `${origin}${pagePath}`,
+        title: $('title').first().text().trim() || pagePath,
+        textCount: $('h1, h2, h3, h4, h5, h6, p, span, a, button').text().trim().length,
+        depth,
+        source,
+        canonicalUrl: canonicalHref ? new URL(canonicalHref, pageUrl).href : null,
+        statusCode: response.status
+      };
+      pages.push(page);
+      if (onPage) onPage(page);
+    }
+
+    if (depth < maxDepth) {
+      $('a[href]').each((i, el) => {
+        const linkPath = toPagePath($(el).attr('href'), pageUrl, origin);
+        if (linkPath && shouldVisit(linkPath)) {
+          next.push({ path: linkPath, source: 'link' });
+        }
+      });
+    }
+  };
+
+  for (let depth = 0; level.length && depth <= maxDepth; depth++) {
+    if ((signal && signal.aborted) || fetched >= maxPages) break;
+    const next = [];
+    await mapWithConcurrency(level, concurrency, entry => visit(entry, depth, next));
+    level = next;
+  }
+
+  return { pages, skipped, sitemapUrls: sitemapUrls.length, crawlDelay };
+}
+
+module.exports = { DEFAULT_OPTIONS, validateCrawlOptions, crawlWebsite };
@@ -0,0 +1,90 @@
+// robots.txt rules for one user agent: Allow/Disallow with `*` and `$` wildcards,
+// where the longest matching rule wins and Allow wins ties, plus Crawl-delay and
+// Sitemap lines.
+
+function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) return;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      return;
+    }
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!group) return;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything
+      if (value) group.rules.push({ allow: field === 'allow', pattern: value });
+    } else if (field === 'crawl-delay') {
+      const delay = Number(value);
+      if (Number.isFinite(delay) && delay >= 0) group.crawlDelay = delay;
+    }
+  });
+
+  return { groups, sitemaps };
+}
+
+function ruleToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// The group naming our user agent, or the `*` group
+function selectGroup(groups, userAgent) {
+  const agent = userAgent.toLowerCase();
+  return groups.find(group => group.agents.some(name => name !== '*' && agent.includes(name))) ||
+    groups.find(group => group.agents.includes('*')) ||
+    null;
+}
+
+function createRobotsPolicy(text, userAgent) {
+  const { groups, sitemaps } = parseRobots(text || '');
+  const group = selectGroup(groups, userAgent);
+  const rules = (group ? group.rules : []).map(rule => ({ ...rule, regex: ruleToRegExp(rule.pattern) }));
+
+  return {
+    sitemaps,
+    crawlDelay: group ? group.crawlDelay : null,
+    // `path` includes the query string
+    isAllowed(path) {
+      let best = null;
+      rules.forEach(rule => {
+        if (!rule.regex.test(path)) return;
+        if (!best || rule.pattern.length > best.pattern.length ||
+          (rule.pattern.length === best.pattern.length && rule.allow)) {
+          best = rule;
+        }
+      });
+      return !best || best.allow;
+    }
+  };
+}
+
+module.exports = { parseRobots, createRobotsPolicy };
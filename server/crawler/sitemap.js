@@ -0,0 +1,50 @@
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+
+// Most sitemap indexes followed per crawl, so a huge or looping index can't stall it
+const MAX_SITEMAPS = 50;
+// The sitemap protocol's size limit, which also stops gzip bombs
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+function decodeSitemap(buffer) {
+  // Gzipped sitemaps (sitemap.xml.gz) start with the gzip magic bytes
+  const data = buffer[0] === 0x1f && buffer[1] === 0x8b ? zlib.gunzipSync(buffer, { maxOutputLength: MAX_SITEMAP_BYTES }) : buffer;
+  return data.toString('utf8');
+}
+
+// Page URLs listed by the given sitemaps, following sitemap indexes.
+// `fetchBuffer(url)` returns the response body as a Buffer, or null.
+async function readSitemaps(sitemapUrls, { fetchBuffer, maxUrls, signal }) {
+  const pending = [...sitemapUrls];
+  const visited = new Set();
+  const urls = new Set();
+
+  while (pending.length && visited.size < MAX_SITEMAPS && urls.size < maxUrls) {
+    if (signal && signal.aborted) break;
+
+    const sitemapUrl = pending.shift();
+    if (visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
+
+    let $;
+    try {
+      const buffer = await fetchBuffer(sitemapUrl);
+      if (!buffer) continue;
+      $ = cheerio.load(decodeSitemap(buffer), { xmlMode: true });
+    } catch (error) {
+      console.error(`Error reading sitemap ${sitemapUrl}:`, error.message);
+      continue;
+    }
+
+    $('sitemapindex > sitemap > loc').each((i, el) => {
+      pending.push($(el).text().trim());
+    });
+    $('urlset > url > loc').each((i, el) => {
+      if (urls.size < maxUrls) urls.add($(el).text().trim());
+    });
+  }
+
+  return [...urls];
+}
+
+module.exports = { readSitemaps };
@@ -0,0 +1,22 @@
+const Database = require('better-sqlite3');
+const path = require('path');
+const { migrate } = require('./migrations');
+const { decodeSegmentText } = require('./segmenter');
+
+// Initialize database
+const db = new Database(process.env.DATABASE_PATH || path.join(__dirname, 'translations.db'));
+
+// The text a reader sees in segment or translated text, without placeholders or entities.
+// The search index triggers (migration 21) call it, so every connection writing segments
+// or translations needs it.
+db.function('segment_plain_text', { deterministic: true }, (text) => (
+  text === null ? null : decodeSegmentText(text)
+));
+
+// Bring the schema up to date; existing data is never dropped
+migrate(db);
+
+// Enabled after migrating so table rebuilds in migrations are not blocked by constraints
+db.pragma('foreign_keys = ON');
+
+module.exports = db;
@@ -0,0 +1,45 @@
+const cheerio = require('cheerio');
+const { segmentDocument } = require('./segmenter');
+const { hashText } = require('./memory');
+const { CONTENT_TYPES, safeRequest } = require('./fetcher');
+
+// The full response for a page, as { status, headers, data }, through the hardened
+// fetch layer (see fetcher/index.js); anything but HTML is refused. `headers` are sent
+// as request headers, so a 304 answer to a conditional request resolves too.
+// `method`, `data` and `contentType` let the /view proxy forward form submissions.
+async function fetchPageResponse(pageUrl, { method = 'GET', data, contentType, headers = {} } = {}) {
+  const response = await safeRequest(pageUrl, {
+    method,
+    data,
+    headers: {
+      ...(contentType ? { 'Content-Type': contentType } : {}),
+      ...headers
+    },
+    accept: CONTENT_TYPES.html
+  });
+  return { status: response.status, headers: response.headers, data: response.data };
+}
+
+async function fetchPage(pageUrl, options) {
+  const response = await fetchPageResponse(pageUrl, options);
+  return response.data;
+}
+
+// Extract the translatable text of a page as segments of
+// { segmentType, text, sourceHash, position, elementType, context }: one per block of
+// text with inline markup as placeholders, plus the title, meta descriptions and
+// translatable attributes (see segmenter.js). `rules` are the website's
+// { include, exclude } selectors.
+function extractSegments(html, rules) {
+  const $ = cheerio.load(html);
+  return segmentDocument($, rules).map(({ segmentType, text, position, elementType, context }) => ({
+    segmentType,
+    text,
+    sourceHash: hashText(text),
+    position,
+    elementType,
+    context
+  }));
+}
+
+module.exports = { fetchPageResponse, fetchPage, extractSegments };
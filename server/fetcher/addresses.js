@@ -0,0 +1,102 @@
+const dns = require('dns');
+const net = require('net');
+const { fetchError } = require('./errors');
+
+// Addresses a fetch may never connect to: private networks, loopback, link-local
+// (including cloud metadata at 169.254.169.254), shared, reserved and multicast ranges.
+// Set ALLOW_PRIVATE_ADDRESSES=true to fetch sites on a local network during development.
+const ALLOW_PRIVATE_ADDRESSES = ['1', 'true'].includes(process.env.ALLOW_PRIVATE_ADDRESSES);
+
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, family]) => blockList.addSubnet(address, prefix, family));
+
+function isBlockedAddress(address) {
+  if (ALLOW_PRIVATE_ADDRESSES) return false;
+
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return blockList.check(mapped[1], 'ipv4');
+
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function blockedAddressError(hostname) {
+  return fetchError('BLOCKED_ADDRESS', `${hostname} resolves to a private or reserved address`, 403);
+}
+
+// dns.lookup replacement for http(s) agents: the addresses a socket connects to are
+// checked after resolution, so a hostname can't be pointed at an internal service
+// between a check and the request
+function safeLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!addresses.length || addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(blockedAddressError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Sockets skip the lookup for IP literals, so those are checked before connecting
+function assertAllowedLiteral(hostname) {
+  const bare = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(bare) && isBlockedAddress(bare)) throw blockedAddressError(hostname);
+}
+
+// Resolve a hostname up front so callers can reject a URL before queuing work.
+// Throws a BLOCKED_ADDRESS or DNS error.
+async function assertPublicHostname(hostname) {
+  const bare = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(bare)) {
+    assertAllowedLiteral(hostname);
+    return;
+  }
+
+  const addresses = await dns.promises.lookup(bare, { all: true }).catch(() => {
+    throw fetchError('DNS_FAILED', `${hostname} could not be resolved`, 502);
+  });
+  if (!addresses.length || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw blockedAddressError(hostname);
+  }
+}
+
+module.exports = {
+  ALLOW_PRIVATE_ADDRESSES,
+  isBlockedAddress,
+  safeLookup,
+  assertAllowedLiteral,
+  assertPublicHostname
+};
@@ -0,0 +1,10 @@
+// Errors from the fetch layer carry a `code` and the HTTP `status` to answer with.
+// Messages name the URL or host involved, so they are logged but never sent to clients.
+function fetchError(code, message, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+module.exports = { fetchError };
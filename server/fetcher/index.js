@@ -0,0 +1,153 @@
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { fetchError } = require('./errors');
+const { safeLookup, assertAllowedLiteral, assertPublicHostname } = require('./addresses');
+const { waitForSlot } = require('./rateLimit');
+
+// Every request to a website (pages, crawls, sitemaps, proxied assets) goes through
+// safeRequest: only http(s), no private or reserved addresses (checked after DNS
+// resolution, on every redirect), per-host and global rate limits, a body size limit,
+// a redirect limit and an optional content-type check.
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+const TIMEOUT = Number(process.env.FETCH_TIMEOUT) || 10000;
+const MAX_BYTES = Number(process.env.FETCH_MAX_BYTES) || 5 * 1024 * 1024;
+const MAX_REDIRECTS = Number(process.env.FETCH_MAX_REDIRECTS ?? 5);
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Content types accepted by callers passing `accept`
+const CONTENT_TYPES = {
+  html: /^\s*(text\/html|application\/xhtml\+xml)\b/i
+};
+
+const httpAgent = new http.Agent({ lookup: safeLookup, keepAlive: true });
+const httpsAgent = new https.Agent({ lookup: safeLookup, keepAlive: true });
+
+function isSuccess(status) {
+  return (status >= 200 && status < 300) || status === 304;
+}
+
+// Errors raised inside axios (the agents' lookup, size limits, timeouts) as fetch errors
+function toFetchError(error, url) {
+  const cause = error.cause || error;
+  if (cause.code === 'BLOCKED_ADDRESS' || error.code === 'BLOCKED_ADDRESS') {
+    return fetchError('BLOCKED_ADDRESS', cause.message, 403);
+  }
+  if (/maxContentLength|maxBodyLength/.test(error.message)) {
+    return fetchError('TOO_LARGE', `${url} is larger than the size limit`, 413);
+  }
+  if (['ECONNABORTED', 'ETIMEDOUT'].includes(error.code)) {
+    return fetchError('TIMEOUT', `${url} timed out`, 504);
+  }
+  return fetchError('UNREACHABLE', `${url} could not be fetched: ${error.message}`, 502);
+}
+
+// Request `url` and return { status, headers, data, finalUrl }. Options:
+//   method, data, headers - the request to send; redirects turn POSTs into GETs as browsers do
+//   responseType          - axios response type ('text' by default)
+//   accept                - a CONTENT_TYPES pattern the response must match
+//   maxBytes              - body size limit (FETCH_MAX_BYTES by default)
+//   validateStatus        - statuses returned rather than thrown (2xx and 304 by default)
+// Throws fetch errors (see errors.js). An error for an unexpected status keeps it in
+// `error.response.status`.
+async function safeRequest(url, {
+  method = 'GET',
+  data,
+  headers = {},
+  responseType = 'text',
+  accept = null,
+  maxBytes = MAX_BYTES,
+  validateStatus = isSuccess
+} = {}) {
+  let current = new URL(url);
+  let currentMethod = method;
+  let body = data;
+
+  for (let redirects = 0; ; redirects++) {
+    if (!['http:', 'https:'].includes(current.protocol)) {
+      throw fetchError('UNSUPPORTED_PROTOCOL', `${current.protocol} URLs are not fetched`, 400);
+    }
+    assertAllowedLiteral(current.hostname);
+    await waitForSlot(current.host);
+
+    let response;
+    try {
+      response = await axios.request({
+        url: current.href,
+        method: currentMethod,
+        data: body,
+        headers: { 'User-Agent': USER_AGENT, ...headers },
+        responseType,
+        timeout: TIMEOUT,
+        maxRedirects: 0,
+        maxContentLength: maxBytes,
+        maxBodyLength: maxBytes,
+        httpAgent,
+        httpsAgent,
+        proxy: false,
+        validateStatus: () => true
+      });
+    } catch (error) {
+      throw toFetchError(error, current.href);
+    }
+
+    if (REDIRECT_STATUSES.includes(response.status) && response.headers.location) {
+      if (redirects >= MAX_REDIRECTS) {
+        throw fetchError('TOO_MANY_REDIRECTS', `${url} redirected more than ${MAX_REDIRECTS} times`, 502);
+      }
+      current = new URL(response.headers.location, current);
+      if (response.status === 303 || (currentMethod === 'POST' && response.status <= 302)) {
+        currentMethod = 'GET';
+        body = undefined;
+      }
+      continue;
+    }
+
+    if (!validateStatus(response.status)) {
+      // A page that is gone stays gone; anything else is the origin failing
+      const status = [404, 410].includes(response.status) ? 404 : 502;
+      const error = fetchError('UPSTREAM_STATUS', `${current.href} answered ${response.status}`, status);
+      error.response = { status: response.status };
+      throw error;
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    if (accept && response.status !== 304 && !accept.test(contentType)) {
+      throw fetchError('UNSUPPORTED_CONTENT_TYPE', `${current.href} is ${contentType || 'untyped'}, not a page`, 415);
+    }
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      data: response.data,
+      finalUrl: current.href
+    };
+  }
+}
+
+// Reject a URL a caller submitted before any work is queued: it must be http(s) and its
+// host must resolve to public addresses. Returns an error message, or null.
+async function validatePublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return 'URL is invalid';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'URL must start with http:// or https://';
+  }
+
+  try {
+    await assertPublicHostname(parsed.hostname);
+    return null;
+  } catch (error) {
+    return error.code === 'BLOCKED_ADDRESS'
+      ? 'URL must point to a public website'
+      : 'URL host could not be resolved';
+  }
+}
+
+module.exports = { CONTENT_TYPES, MAX_BYTES, safeRequest, validatePublicUrl };
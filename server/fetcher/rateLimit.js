@@ -0,0 +1,39 @@
+const { fetchError } = require('./errors');
+
+// Outgoing requests are spaced out per host and globally, so a crawl or a burst of
+// /view traffic can't hammer one site or flood the network. A request waits for its
+// slot; one that would wait longer than FETCH_MAX_WAIT_MS fails with a 429 instead.
+const HOST_RATE = Number(process.env.FETCH_HOST_RATE) || 5;
+const GLOBAL_RATE = Number(process.env.FETCH_GLOBAL_RATE) || 50;
+const MAX_WAIT_MS = Number(process.env.FETCH_MAX_WAIT_MS) || 15000;
+
+// Next free slot per host, in epoch milliseconds
+const hostSlots = new Map();
+let globalSlot = 0;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Resolves when a request to `host` may be sent
+async function waitForSlot(host) {
+  const now = Date.now();
+  const slot = Math.max(now, hostSlots.get(host) || 0, globalSlot);
+  if (slot - now > MAX_WAIT_MS) {
+    throw fetchError('RATE_LIMITED', `Too many requests to ${host}`, 429);
+  }
+
+  hostSlots.set(host, slot + 1000 / HOST_RATE);
+  globalSlot = slot + 1000 / GLOBAL_RATE;
+
+  // Forget hosts whose slots have passed so the map doesn't grow without bound
+  if (hostSlots.size > 1000) {
+    for (const [key, next] of hostSlots) {
+      if (next < now) hostSlots.delete(key);
+    }
+  }
+
+  if (slot > now) await sleep(slot - now);
+}
+
+module.exports = { HOST_RATE, GLOBAL_RATE, waitForSlot };
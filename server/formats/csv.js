@@ -0,0 +1,87 @@
+const COLUMNS = ['segment_id', 'path', 'element_type', 'segment_type', 'context', 'source', 'target', 'status', 'review_status'];
+
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function serializeCsv(units) {
+  const rows = units.map(unit => [
+    unit.id,
+    unit.path,
+    unit.elementType,
+    unit.segmentType,
+    unit.context,
+    unit.source,
+    unit.target,
+    unit.status,
+    unit.reviewStatus
+  ].map(escapeCsv).join(','));
+
+  return [COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// RFC 4180 parser: quoted fields may contain commas, quotes and newlines
+function parseRows(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell !== ''));
+}
+
+function parseCsv(content) {
+  const [header, ...rows] = parseRows(content.replace(/^\uFEFF/, ''));
+  if (!header || !header.includes('source') || !header.includes('target')) {
+    throw new Error('CSV header must include source and target columns');
+  }
+
+  const column = name => header.indexOf(name);
+  const units = rows.map(cells => ({
+    id: column('segment_id') >= 0 ? cells[column('segment_id')] || null : null,
+    source: cells[column('source')] ?? '',
+    target: cells[column('target')] || null,
+    path: column('path') >= 0 ? cells[column('path')] || null : null
+  }));
+
+  return { units, targetLanguage: null };
+}
+
+module.exports = { serializeCsv, parseCsv };
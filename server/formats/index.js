@@ -0,0 +1,20 @@
+const { serializeXliff12, serializeXliff20, parseXliff } = require('./xliff');
+const { serializePo, parsePo } = require('./po');
+const { serializeCsv, parseCsv } = require('./csv');
+const { serializeJson, parseJson } = require('./json');
+
+// Each format serializes export units and parses files into
+// { units: [{ id, source, target, path }], targetLanguage }
+const formats = {
+  xliff12: { extension: 'xlf', contentType: 'application/xliff+xml', serialize: serializeXliff12, parse: parseXliff },
+  xliff20: { extension: 'xlf', contentType: 'application/xliff+xml', serialize: serializeXliff20, parse: parseXliff },
+  po: { extension: 'po', contentType: 'text/x-gettext-translation', serialize: serializePo, parse: parsePo },
+  csv: { extension: 'csv', contentType: 'text/csv', serialize: serializeCsv, parse: parseCsv },
+  json: { extension: 'json', contentType: 'application/json', serialize: serializeJson, parse: parseJson }
+};
+
+function getFormat(name) {
+  return Object.prototype.hasOwnProperty.call(formats, name) ? formats[name] : null;
+}
+
+module.exports = { FORMAT_NAMES: Object.keys(formats), getFormat };
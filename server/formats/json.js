@@ -0,0 +1,46 @@
+// Flat JSON keyed by segment id. Import also accepts plain `{ "<id>": "<target>" }`
+// maps as produced by most i18n tools.
+
+function serializeJson(units, { sourceLanguage, targetLanguage }) {
+  const segments = {};
+  units.forEach(unit => {
+    segments[unit.id] = {
+      source: unit.source,
+      target: unit.target,
+      path: unit.path,
+      element_type: unit.elementType,
+      segment_type: unit.segmentType,
+      context: unit.context
+    };
+  });
+
+  return JSON.stringify({
+    source_language: sourceLanguage,
+    target_language: targetLanguage,
+    segments
+  }, null, 2) + '\n';
+}
+
+function parseJson(content) {
+  const data = typeof content === 'string' ? JSON.parse(content) : content;
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('JSON must be an object keyed by segment id');
+  }
+
+  const segments = data.segments && typeof data.segments === 'object' ? data.segments : data;
+  const units = Object.entries(segments)
+    .filter(([key]) => !['source_language', 'target_language'].includes(key))
+    .map(([id, value]) => {
+      if (typeof value === 'string') {
+        return { id, source: null, target: value, path: null };
+      }
+      if (!value || typeof value !== 'object') {
+        throw new Error(`Invalid entry for segment ${id}`);
+      }
+      return { id, source: value.source ?? null, target: value.target ?? null, path: value.path ?? null };
+    });
+
+  return { units, targetLanguage: data.target_language || null };
+}
+
+module.exports = { serializeJson, parseJson };
@@ -0,0 +1,100 @@
+// gettext PO. The segment id travels in msgctxt so entries can be matched back;
+// path and element type are written as reference and extracted comments.
+
+function escapePo(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t');
+}
+
+function unescapePo(text) {
+  return text.replace(/\\(.)/g, (match, char) => ({ n: '\n', t: '\t', r: '\r' }[char] ?? char));
+}
+
+function serializePo(units, { domain, sourceLanguage, targetLanguage }) {
+  const header = [
+    '# Translations for ' + domain,
+    'msgid ""',
+    'msgstr ""',
+    '"Content-Type: text/plain; charset=UTF-8\\n"',
+    `"Language: ${escapePo(targetLanguage)}\\n"`,
+    `"X-Source-Language: ${escapePo(sourceLanguage)}\\n"`
+  ].join('\n');
+
+  const entries = units.map(unit => [
+    `#: ${unit.path}`,
+    `#. element: ${unit.elementType}`,
+    ...(unit.segmentType !== 'text' ? [`#. ${unit.segmentType}: ${unit.context || unit.elementType}`] : []),
+    ...(unit.reviewStatus === 'machine' ? ['#, fuzzy'] : []),
+    `msgctxt "segment:${unit.id}"`,
+    `msgid "${escapePo(unit.source)}"`,
+    `msgstr "${escapePo(unit.target ?? '')}"`
+  ].join('\n'));
+
+  return [header, ...entries].join('\n\n') + '\n';
+}
+
+function parsePo(content) {
+  const units = [];
+  let targetLanguage = null;
+  let entry = {};
+  let field = null;
+
+  const finishEntry = () => {
+    if (entry.msgid === '') {
+      const language = (entry.msgstr || '').match(/^Language:\s*(\S+)/m);
+      if (language) targetLanguage = language[1];
+    } else if (entry.msgid !== undefined) {
+      const context = (entry.msgctxt || '').match(/^segment:(\d+)$/);
+      units.push({
+        id: context ? context[1] : null,
+        source: entry.msgid,
+        target: entry.msgstr || null,
+        path: entry.path || null
+      });
+    }
+    entry = {};
+    field = null;
+  };
+
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+
+    if (!line) {
+      finishEntry();
+      return;
+    }
+
+    if (line.startsWith('#:')) {
+      entry.path = line.slice(2).trim().split(/\s+/)[0];
+      return;
+    }
+    if (line.startsWith('#')) return;
+
+    const keyword = line.match(/^(msgctxt|msgid|msgstr)\s+"(.*)"$/);
+    if (keyword) {
+      // A new msgctxt/msgid after a complete entry starts the next entry
+      if ((keyword[1] === 'msgctxt' || keyword[1] === 'msgid') && entry.msgstr !== undefined) {
+        finishEntry();
+      }
+      field = keyword[1];
+      entry[field] = unescapePo(keyword[2]);
+      return;
+    }
+
+    const continuation = line.match(/^"(.*)"$/);
+    if (continuation && field) {
+      entry[field] += unescapePo(continuation[1]);
+      return;
+    }
+
+    throw new Error(`Invalid PO syntax on line ${index + 1}`);
+  });
+
+  finishEntry();
+  return { units, targetLanguage };
+}
+
+module.exports = { serializePo, parsePo };
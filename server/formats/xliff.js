@@ -0,0 +1,154 @@
+const cheerio = require('cheerio');
+const { escapeText } = require('../segmenter');
+
+// Review status -> XLIFF state, per version
+const STATES_12 = { machine: 'needs-review-translation', edited: 'translated', reviewed: 'signed-off', approved: 'final' };
+const STATES_20 = { machine: 'translated', edited: 'translated', reviewed: 'reviewed', approved: 'final' };
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Segment text is already escaped HTML with <gN>/<xN/> placeholders (see segmenter.js).
+// Placeholders map onto native XLIFF inline codes so CAT tools protect them:
+// 1.2 uses <g id="N">/<x id="N"/>, 2.0 uses <pc id="N">/<ph id="N"/>.
+const INLINE_CODES = {
+  '1.2': { paired: 'g', standalone: 'x' },
+  '2.0': { paired: 'pc', standalone: 'ph' }
+};
+
+function toInlineCodes(text, version) {
+  const { paired, standalone } = INLINE_CODES[version];
+  return text.replace(/<(\/?)([gx])(\d+)(\/?)>/g, (match, closing, kind, id) => {
+    if (kind === 'x') return `<${standalone} id="${id}"/>`;
+    return closing ? `</${paired}>` : `<${paired} id="${id}">`;
+  });
+}
+
+function decodeEntity(match, hex, decimal, name) {
+  if (name) return { quot: '"', apos: "'" }[name] ?? match;
+  const char = String.fromCodePoint(hex ? parseInt(hex, 16) : Number(decimal));
+  return escapeText(char);
+}
+
+// Inner XML of a <source>/<target> element back to segment text
+function fromInlineCodes(xml) {
+  const open = [];
+  return xml
+    .replace(/<(\/?)(g|x|pc|ph|bx|ex)\b([^>]*?)(\/?)>/g, (match, closing, tag, attributes, selfClosing) => {
+      const id = (attributes.match(/\bid="([^"]*)"/) || [])[1];
+      if (tag === 'x' || tag === 'ph' || selfClosing) return `<x${id}/>`;
+      if (closing) return `</g${open.pop()}>`;
+      open.push(id);
+      return `<g${id}>`;
+    })
+    .replace(/&(?:#x([0-9a-f]+)|#(\d+)|(quot|apos));/gi, decodeEntity);
+}
+
+function serializeXliff12(units, { domain, sourceLanguage, targetLanguage }) {
+  const body = units.map(unit => {
+    const target = unit.target === null
+      ? ''
+      : `\n        <target state="${STATES_12[unit.reviewStatus] || 'translated'}">${toInlineCodes(unit.target, '1.2')}</target>`;
+
+    return `      <trans-unit id="${unit.id}">
+        <source>${toInlineCodes(unit.source, '1.2')}</source>${target}
+        <context-group purpose="location">
+          <context context-type="sourcefile">${escapeXml(unit.path)}</context>
+          <context context-type="x-element-type">${escapeXml(unit.elementType)}</context>
+          <context context-type="x-segment-type">${escapeXml(unit.segmentType)}</context>${unit.context ? `
+          <context context-type="x-context">${escapeXml(unit.context)}</context>` : ''}
+        </context-group>
+      </trans-unit>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">
+  <file original="${escapeXml(domain)}" source-language="${escapeXml(sourceLanguage)}" target-language="${escapeXml(targetLanguage)}" datatype="html">
+    <body>
+${body}
+    </body>
+  </file>
+</xliff>
+`;
+}
+
+function serializeXliff20(units, { domain, sourceLanguage, targetLanguage }) {
+  const body = units.map(unit => {
+    const state = unit.target === null ? 'initial' : (STATES_20[unit.reviewStatus] || 'translated');
+    const target = unit.target === null ? '' : `\n        <target>${toInlineCodes(unit.target, '2.0')}</target>`;
+
+    return `    <unit id="u${unit.id}">
+      <notes>
+        <note category="path">${escapeXml(unit.path)}</note>
+        <note category="element_type">${escapeXml(unit.elementType)}</note>
+        <note category="segment_type">${escapeXml(unit.segmentType)}</note>${unit.context ? `
+        <note category="context">${escapeXml(unit.context)}</note>` : ''}
+      </notes>
+      <segment state="${state}">
+        <source>${toInlineCodes(unit.source, '2.0')}</source>${target}
+      </segment>
+    </unit>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${escapeXml(sourceLanguage)}" trgLang="${escapeXml(targetLanguage)}">
+  <file id="f1" original="${escapeXml(domain)}">
+${body}
+  </file>
+</xliff>
+`;
+}
+
+// Parses both XLIFF 1.2 and 2.0; the version is read from the document
+function parseXliff(content) {
+  // Entities are kept as written so inner XML maps straight back to segment text
+  const $ = cheerio.load(content, { xmlMode: true, decodeEntities: false });
+  const $xliff = $('xliff').first();
+  if (!$xliff.length) {
+    throw new Error('Not an XLIFF document');
+  }
+
+  const version = $xliff.attr('version');
+  const units = [];
+
+  if (version === '1.2') {
+    $('trans-unit').each((i, el) => {
+      const $unit = $(el);
+      const $target = $unit.children('target');
+      units.push({
+        id: $unit.attr('id'),
+        source: fromInlineCodes($unit.children('source').html()),
+        target: $target.length ? fromInlineCodes($target.html()) : null,
+        path: $unit.find('context[context-type="sourcefile"]').first().text() || null
+      });
+    });
+
+    return { units, targetLanguage: $('file').first().attr('target-language') || null };
+  }
+
+  if (version === '2.0') {
+    $('unit').each((i, el) => {
+      const $unit = $(el);
+      const $segment = $unit.find('segment').first();
+      const $target = $segment.children('target');
+      units.push({
+        id: ($unit.attr('id') || '').replace(/^u/, ''),
+        source: fromInlineCodes($segment.children('source').html()),
+        target: $target.length ? fromInlineCodes($target.html()) : null,
+        path: $unit.find('note[category="path"]').first().text() || null
+      });
+    });
+
+    return { units, targetLanguage: $xliff.attr('trgLang') || null };
+  }
+
+  throw new Error(`Unsupported XLIFF version: ${version || 'unknown'}`);
+}
+
+module.exports = { serializeXliff12, serializeXliff20, parseXliff };
@@ -0,0 +1,176 @@
+const db = require('./db');
+
+const ALL_LANGUAGES = '*';
+
+const findTerms = db.prepare(`
+  SELECT * FROM glossary_terms
+  WHERE website_id = ? AND (? IS NULL OR language IN (?, '${ALL_LANGUAGES}'))
+  ORDER BY term, language
+`);
+
+// Longest terms first so "Acme Cloud" is protected before "Acme";
+// language-specific rules before '*' rules for the same term
+const findRules = db.prepare(`
+  SELECT * FROM glossary_terms
+  WHERE website_id = ? AND language IN (?, '${ALL_LANGUAGES}')
+  ORDER BY length(term) DESC, language = '${ALL_LANGUAGES}'
+`);
+
+const findTerm = db.prepare('SELECT * FROM glossary_terms WHERE id = ? AND website_id = ?');
+
+const insertTerm = db.prepare(`
+  INSERT INTO glossary_terms (
+    website_id, term, language, translation, do_not_translate, case_sensitive, notes, updated_at
+  ) VALUES (
+    @websiteId, @term, @language, @translation, @doNotTranslate, @caseSensitive, @notes, datetime('now')
+  )
+`);
+
+const updateTerm = db.prepare(`
+  UPDATE glossary_terms
+  SET term = @term, language = @language, translation = @translation,
+    do_not_translate = @doNotTranslate, case_sensitive = @caseSensitive, notes = @notes,
+    updated_at = datetime('now')
+  WHERE id = @id AND website_id = @websiteId
+`);
+
+const deleteTerm = db.prepare('DELETE FROM glossary_terms WHERE id = ? AND website_id = ?');
+
+// Placeholders are plain word characters that providers pass through untouched.
+// Restoring tolerates the spacing and casing changes some engines introduce.
+const PLACEHOLDER_PATTERN = /_{1,2}\s*G\s*(\d+)\s*_{1,2}/gi;
+
+function placeholder(index) {
+  return `__G${index}__`;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-term matches only, so "Go" does not match inside "Google" or a placeholder
+function termPattern(rule) {
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}_])${escapeRegExp(rule.term)}(?![\\p{L}\\p{N}_])`,
+    rule.case_sensitive ? 'gu' : 'giu'
+  );
+}
+
+function getRules(websiteId, language) {
+  const seen = new Set();
+  return findRules.all(websiteId, language).filter(rule => {
+    const key = rule.case_sensitive ? rule.term : rule.term.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Replace glossary terms with placeholders before the text is sent to a provider.
+// `tokens[i]` is what placeholder i becomes after translation: the original term
+// for do-not-translate rules, the fixed translation otherwise.
+function protectTerms(text, rules) {
+  const tokens = [];
+
+  const protectedText = rules.reduce((current, rule) => current.replace(termPattern(rule), (match) => {
+    tokens.push(rule.do_not_translate ? match : rule.translation);
+    return placeholder(tokens.length - 1);
+  }), text);
+
+  return { text: protectedText, tokens };
+}
+
+function restoreTerms(text, tokens) {
+  if (!tokens.length) return text;
+  return text.replace(PLACEHOLDER_PATTERN, (match, index) => tokens[Number(index)] ?? match);
+}
+
+// Rules a translation breaks: a term found in the source must appear in the target,
+// either unchanged (do-not-translate) or as its fixed translation
+function findViolations(sourceText, translatedText, rules) {
+  const violations = [];
+
+  rules.forEach(rule => {
+    if (!termPattern(rule).test(sourceText)) return;
+
+    const expected = rule.do_not_translate ? rule.term : rule.translation;
+    const found = rule.case_sensitive
+      ? translatedText.includes(expected)
+      : translatedText.toLowerCase().includes(expected.toLowerCase());
+
+    if (!found) {
+      violations.push({
+        termId: rule.id,
+        term: rule.term,
+        expected,
+        rule: rule.do_not_translate ? 'do-not-translate' : 'fixed-translation'
+      });
+    }
+  });
+
+  return violations;
+}
+
+function listTerms(websiteId, language = null) {
+  return findTerms.all(websiteId, language, language);
+}
+
+function getTerm(websiteId, termId) {
+  return findTerm.get(termId, websiteId) || null;
+}
+
+function toRow(websiteId, term) {
+  return {
+    websiteId,
+    term: term.term,
+    language: term.language || ALL_LANGUAGES,
+    translation: term.doNotTranslate ? null : term.translation,
+    doNotTranslate: term.doNotTranslate ? 1 : 0,
+    caseSensitive: term.caseSensitive === false ? 0 : 1,
+    notes: term.notes || null
+  };
+}
+
+// Returns an error message for an invalid term, or null
+function validateTerm(term) {
+  if (!term || typeof term.term !== 'string' || !term.term.trim()) {
+    return 'Term is required';
+  }
+  if (!term.doNotTranslate) {
+    if (!term.translation) {
+      return 'A translation is required unless the term is do-not-translate';
+    }
+    if (!term.language || term.language === ALL_LANGUAGES) {
+      return 'Fixed translations need a specific language';
+    }
+  }
+  return null;
+}
+
+function createTerm(websiteId, term) {
+  const result = insertTerm.run(toRow(websiteId, term));
+  return getTerm(websiteId, result.lastInsertRowid);
+}
+
+function saveTerm(websiteId, termId, term) {
+  const result = updateTerm.run({ ...toRow(websiteId, term), id: termId });
+  return result.changes ? getTerm(websiteId, termId) : null;
+}
+
+function removeTerm(websiteId, termId) {
+  return deleteTerm.run(termId, websiteId).changes > 0;
+}
+
+module.exports = {
+  ALL_LANGUAGES,
+  getRules,
+  protectTerms,
+  restoreTerms,
+  findViolations,
+  listTerms,
+  getTerm,
+  validateTerm,
+  createTerm,
+  saveTerm,
+  removeTerm
+};
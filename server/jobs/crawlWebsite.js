@@ -0,0 +1,55 @@
+const db = require('../db');
+const { crawlWebsite } = require('../crawler');
+
+const findWebsiteById = db.prepare('SELECT id, domain FROM websites WHERE id = ?');
+
+const upsertPage = db.prepare(`
+  INSERT INTO crawled_pages (
+    website_id, path, url, title, text_count, depth, source, canonical_url, status_code,
+    job_id, crawled_at
+  ) VALUES (
+    @websiteId, @path, @url, @title, @textCount, @depth, @source, @canonicalUrl, @statusCode,
+    @jobId, datetime('now')
+  )
+  ON CONFLICT (website_id, path) DO UPDATE SET
+    url = excluded.url,
+    title = excluded.title,
+    text_count = excluded.text_count,
+    depth = excluded.depth,
+    source = excluded.source,
+    canonical_url = excluded.canonical_url,
+    status_code = excluded.status_code,
+    job_id = excluded.job_id,
+    crawled_at = excluded.crawled_at
+`);
+
+// Crawl a website and store the pages found. Params: { startUrl, options } (see
+// crawler/index.js). A resumed crawl starts over; pages are saved as they are found.
+async function crawlWebsiteJob({ job, params, signal, progress }) {
+  const website = findWebsiteById.get(job.websiteId);
+  if (!website) {
+    throw new Error('Website not found');
+  }
+
+  let found = 0;
+  progress(0, params.options.maxPages);
+
+  const result = await crawlWebsite(params.startUrl, params.options, {
+    signal,
+    onPage: (page) => {
+      upsertPage.run({ ...page, websiteId: website.id, jobId: job.id });
+      progress(++found, params.options.maxPages);
+    }
+  });
+
+  return {
+    websiteId: website.id,
+    domain: website.domain,
+    pages: result.pages.length,
+    skipped: result.skipped,
+    sitemapUrls: result.sitemapUrls,
+    crawlDelay: result.crawlDelay
+  };
+}
+
+module.exports = crawlWebsiteJob;
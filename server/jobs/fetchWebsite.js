@@ -0,0 +1,55 @@
+const db = require('../db');
+const { fetchPage, extractSegments } = require('../extractor');
+const { getSelectorRules } = require('../selectors');
+const { normalizePath } = require('../utils/paths');
+const { syncPageSegments } = require('../sync');
+const { recordFetchedPage } = require('../pages');
+
+const findWebsiteById = db.prepare('SELECT id, domain FROM websites WHERE id = ?');
+
+// Fetch the selected pages of a website and store their segments.
+// Params: { baseUrl, selectedPages }. Finished pages are checkpointed in state.
+async function fetchWebsiteJob({ job, params, state, signal, progress, saveState, addError }) {
+  const website = findWebsiteById.get(job.websiteId);
+  if (!website) {
+    throw new Error('Website not found');
+  }
+
+  const completedPages = state.completedPages || [];
+  let segmentsCount = state.segmentsCount || 0;
+  const total = params.selectedPages.length;
+  const rules = getSelectorRules(website.id);
+
+  progress(completedPages.length, total);
+
+  for (const selectedPage of params.selectedPages) {
+    if (signal.aborted) break;
+    const pagePath = normalizePath(selectedPage);
+    if (completedPages.includes(pagePath)) continue;
+
+    try {
+      const pageUrl = `${params.baseUrl}${pagePath}`;
+      const segments = extractSegments(await fetchPage(pageUrl), rules);
+
+      // Fetching a page again updates its stored segments instead of adding rows
+      segmentsCount += syncPageSegments(website.id, pagePath, segments).new.length;
+      recordFetchedPage(website.id, { path: pagePath, url: pageUrl, statusCode: 200 });
+    } catch (error) {
+      console.error(`Error fetching page ${pagePath}:`, error.message);
+      addError(`${pagePath}: ${error.message}`);
+    }
+
+    completedPages.push(pagePath);
+    saveState({ completedPages, segmentsCount });
+    progress(completedPages.length, total);
+  }
+
+  return {
+    websiteId: website.id,
+    domain: website.domain,
+    pages: completedPages.length,
+    segmentsCount
+  };
+}
+
+module.exports = fetchWebsiteJob;
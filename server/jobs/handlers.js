@@ -0,0 +1,6 @@
+const { registerJobHandler } = require('./index');
+
+registerJobHandler('fetch-website', require('./fetchWebsite'));
+registerJobHandler('translate-website', require('./translateWebsite'));
+registerJobHandler('crawl-website', require('./crawlWebsite'));
+registerJobHandler('resync-website', require('./resyncWebsite'));
@@ -0,0 +1,224 @@
+const EventEmitter = require('events');
+const db = require('../db');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const JOB_STATUSES = ['queued', 'running', ...FINISHED_STATUSES];
+const MAX_STORED_ERRORS = 100;
+
+// Emits `job:<id>` with the latest job snapshot whenever a job changes
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const handlers = {};
+const queue = [];
+const controllers = new Map();
+let processing = false;
+
+const insertJob = db.prepare(`
+  INSERT INTO jobs (type, website_id, params, created_at, updated_at)
+  VALUES (?, ?, ?, datetime('now'), datetime('now'))
+`);
+
+const findJob = db.prepare('SELECT * FROM jobs WHERE id = ?');
+
+const findJobs = db.prepare(`
+  SELECT * FROM jobs
+  WHERE (@websiteId IS NULL OR website_id = @websiteId)
+  AND (@userId IS NULL OR website_id IN (SELECT id FROM websites WHERE user_id = @userId))
+  AND (@status IS NULL OR status = @status)
+  ORDER BY id DESC
+  LIMIT @limit
+`);
+
+const findUnfinishedJobs = db.prepare(`
+  SELECT id FROM jobs WHERE status IN ('queued', 'running') ORDER BY id
+`);
+
+const updateJobStatus = db.prepare(`
+  UPDATE jobs SET status = ?, updated_at = datetime('now') WHERE id = ?
+`);
+
+const markJobStarted = db.prepare(`
+  UPDATE jobs
+  SET status = 'running', started_at = COALESCE(started_at, datetime('now')), updated_at = datetime('now')
+  WHERE id = ?
+`);
+
+const markJobFinished = db.prepare(`
+  UPDATE jobs
+  SET status = ?, result = ?, error = ?, finished_at = datetime('now'), updated_at = datetime('now')
+  WHERE id = ?
+`);
+
+const updateJobProgress = db.prepare(`
+  UPDATE jobs SET progress_done = ?, progress_total = ?, updated_at = datetime('now') WHERE id = ?
+`);
+
+const updateJobState = db.prepare(`
+  UPDATE jobs SET state = ?, updated_at = datetime('now') WHERE id = ?
+`);
+
+const updateJobErrors = db.prepare(`
+  UPDATE jobs SET errors = ?, updated_at = datetime('now') WHERE id = ?
+`);
+
+function formatJob(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    type: row.type,
+    websiteId: row.website_id,
+    status: row.status,
+    params: JSON.parse(row.params),
+    result: row.result ? JSON.parse(row.result) : null,
+    error: row.error,
+    errors: JSON.parse(row.errors),
+    progress: { done: row.progress_done, total: row.progress_total },
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function getJob(id) {
+  return formatJob(findJob.get(id));
+}
+
+// `userId` limits the list to jobs of that user's websites
+function listJobs({ websiteId = null, userId = null, status = null, limit = 50 } = {}) {
+  return findJobs.all({ websiteId, userId, status, limit }).map(formatJob);
+}
+
+function notify(id) {
+  jobEvents.emit(`job:${id}`, getJob(id));
+}
+
+// Handlers are async functions receiving a job context; see runJob for its shape
+function registerJobHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+function createJob(type, { websiteId = null, params = {} } = {}) {
+  if (!handlers[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const result = insertJob.run(type, websiteId, JSON.stringify(params));
+  enqueue(result.lastInsertRowid);
+  return getJob(result.lastInsertRowid);
+}
+
+function enqueue(id) {
+  queue.push(id);
+  setImmediate(processQueue);
+}
+
+// Jobs run one at a time so crawls and translation runs don't compete for providers
+async function processQueue() {
+  if (processing) return;
+  processing = true;
+
+  try {
+    while (queue.length) {
+      await runJob(queue.shift());
+    }
+  } finally {
+    processing = false;
+  }
+}
+
+async function runJob(id) {
+  const row = findJob.get(id);
+  if (!row || FINISHED_STATUSES.includes(row.status)) return;
+
+  const handler = handlers[row.type];
+  const controller = new AbortController();
+  controllers.set(id, controller);
+
+  markJobStarted.run(id);
+  notify(id);
+
+  let errors = JSON.parse(row.errors);
+
+  const context = {
+    job: formatJob(row),
+    params: JSON.parse(row.params),
+    // Checkpoint saved by a previous, interrupted run of this job
+    state: JSON.parse(row.state),
+    signal: controller.signal,
+
+    progress(done, total) {
+      updateJobProgress.run(done, total, id);
+      notify(id);
+    },
+
+    saveState(state) {
+      updateJobState.run(JSON.stringify(state), id);
+    },
+
+    addError(message) {
+      errors = [...errors, message].slice(-MAX_STORED_ERRORS);
+      updateJobErrors.run(JSON.stringify(errors), id);
+      notify(id);
+    }
+  };
+
+  try {
+    if (!handler) {
+      throw new Error(`Unknown job type: ${row.type}`);
+    }
+
+    const result = await handler(context);
+    const status = controller.signal.aborted ? 'cancelled' : 'completed';
+    markJobFinished.run(status, JSON.stringify(result ?? null), null, id);
+  } catch (error) {
+    console.error(`Job ${id} (${row.type}) failed:`, error);
+    const status = controller.signal.aborted ? 'cancelled' : 'failed';
+    markJobFinished.run(status, null, error.message, id);
+  } finally {
+    controllers.delete(id);
+    notify(id);
+  }
+}
+
+// Queued jobs are cancelled immediately; running jobs stop at their next checkpoint
+function cancelJob(id) {
+  const job = getJob(id);
+  if (!job || FINISHED_STATUSES.includes(job.status)) return job;
+
+  const controller = controllers.get(job.id);
+  if (controller) {
+    controller.abort();
+  } else {
+    markJobFinished.run('cancelled', null, null, job.id);
+    notify(job.id);
+  }
+
+  return getJob(id);
+}
+
+// Re-queue jobs that were queued or running when the server last stopped
+function resumeJobs() {
+  const unfinished = findUnfinishedJobs.all();
+  unfinished.forEach(({ id }) => {
+    updateJobStatus.run('queued', id);
+    enqueue(id);
+  });
+
+  if (unfinished.length) {
+    console.log(`Resuming ${unfinished.length} unfinished job(s)`);
+  }
+}
+
+module.exports = {
+  JOB_STATUSES,
+  FINISHED_STATUSES,
+  jobEvents,
+  registerJobHandler,
+  createJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  resumeJobs
+};
@@ -0,0 +1,108 @@
+const db = require('../db');
+const { createJob } = require('./index');
+const { fetchPage, extractSegments } = require('../extractor');
+const { getSelectorRules } = require('../selectors');
+const { normalizePath } = require('../utils/paths');
+const { syncPageSegments, getWebsiteLanguages, getSyncedPaths } = require('../sync');
+const { recordFetchedPage } = require('../pages');
+
+const findWebsiteById = db.prepare('SELECT id, domain FROM websites WHERE id = ?');
+
+const insertSyncRun = db.prepare(`
+  INSERT INTO sync_runs (
+    website_id, job_id, trigger, pages_count, new_count, unchanged_count, changed_count,
+    removed_count, report, translate_job_id, created_at
+  ) VALUES (
+    @websiteId, @jobId, @trigger, @pagesCount, @newCount, @unchangedCount, @changedCount,
+    @removedCount, @report, @translateJobId, datetime('now')
+  )
+`);
+
+// A page that is gone for good has all of its segments removed
+const GONE_STATUSES = [404, 410];
+
+// Fetch pages again and store what changed. Params: { baseUrl, pages, translate, trigger };
+// without `pages` every page with stored segments is re-synced. New and changed
+// segments are queued for translation into the website's languages unless `translate`
+// is false. The change report is saved in sync_runs. Finished pages are checkpointed.
+async function resyncWebsiteJob({ job, params, state, signal, progress, saveState, addError }) {
+  const website = findWebsiteById.get(job.websiteId);
+  if (!website) {
+    throw new Error('Website not found');
+  }
+
+  const pages = state.pages || (params.pages || getSyncedPaths(website.id)).map(normalizePath);
+  const report = state.report || [];
+  const rules = getSelectorRules(website.id);
+
+  progress(report.length, pages.length);
+
+  for (const pagePath of pages) {
+    if (signal.aborted) break;
+    if (report.some(page => page.path === pagePath)) continue;
+
+    const pageUrl = `${params.baseUrl}${pagePath}`;
+    let extracted;
+    try {
+      extracted = extractSegments(await fetchPage(pageUrl), rules);
+      recordFetchedPage(website.id, { path: pagePath, url: pageUrl, statusCode: 200 });
+    } catch (error) {
+      if (GONE_STATUSES.includes(error.response?.status)) {
+        extracted = [];
+        recordFetchedPage(website.id, { path: pagePath, url: pageUrl, statusCode: error.response.status });
+      } else {
+        console.error(`Error re-syncing page ${pagePath}:`, error.message);
+        addError(`${pagePath}: ${error.message}`);
+      }
+    }
+
+    report.push(extracted
+      ? { path: pagePath, status: extracted.length ? 'synced' : 'gone', ...syncPageSegments(website.id, pagePath, extracted) }
+      : { path: pagePath, status: 'failed', new: [], changed: [], removed: [], unchanged: 0 });
+    saveState({ pages, report });
+    progress(report.length, pages.length);
+  }
+
+  const count = (key) => report.reduce((sum, page) => sum + page[key].length, 0);
+  const totals = {
+    new: count('new'),
+    unchanged: report.reduce((sum, page) => sum + page.unchanged, 0),
+    changed: count('changed'),
+    removed: count('removed')
+  };
+
+  // New segments have no translation rows yet and changed ones were reset to pending,
+  // so a regular translation run picks up exactly those
+  let translateJobId = null;
+  const languages = getWebsiteLanguages(website.id);
+  if (!signal.aborted && params.translate !== false && languages.length && (totals.new || totals.changed)) {
+    translateJobId = createJob('translate-website', {
+      websiteId: website.id,
+      params: { targetLanguages: languages }
+    }).id;
+  }
+
+  const result = insertSyncRun.run({
+    websiteId: website.id,
+    jobId: job.id,
+    trigger: params.trigger || 'manual',
+    pagesCount: report.length,
+    newCount: totals.new,
+    unchangedCount: totals.unchanged,
+    changedCount: totals.changed,
+    removedCount: totals.removed,
+    report: JSON.stringify(report),
+    translateJobId
+  });
+
+  return {
+    websiteId: website.id,
+    domain: website.domain,
+    syncRunId: Number(result.lastInsertRowid),
+    pages: report.length,
+    ...totals,
+    translateJobId
+  };
+}
+
+module.exports = resyncWebsiteJob;
@@ -0,0 +1,51 @@
+const db = require('../db');
+const { createJob } = require('./index');
+const { getOrigin } = require('../render');
+
+// Queues a re-sync for every website whose interval has elapsed. Websites opt in with
+// PUT /api/websites/:websiteId/resync-schedule.
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+const findDueWebsites = db.prepare(`
+  SELECT id, domain, resync_interval_minutes FROM websites
+  WHERE resync_interval_minutes IS NOT NULL
+  AND (next_resync_at IS NULL OR next_resync_at <= datetime('now'))
+`);
+
+const findActiveResync = db.prepare(`
+  SELECT id FROM jobs
+  WHERE type = 'resync-website' AND website_id = ? AND status IN ('queued', 'running')
+  LIMIT 1
+`);
+
+const updateNextResync = db.prepare(`
+  UPDATE websites SET next_resync_at = datetime('now', '+' || ? || ' minutes') WHERE id = ?
+`);
+
+function queueDueResyncs() {
+  findDueWebsites.all().forEach(website => {
+    // A slow run is not queued twice; the next check picks the website up again
+    if (!findActiveResync.get(website.id)) {
+      createJob('resync-website', {
+        websiteId: website.id,
+        params: { baseUrl: getOrigin(website.domain), translate: true, trigger: 'schedule' }
+      });
+      console.log('Scheduled re-sync queued:', website.domain);
+    }
+    updateNextResync.run(website.resync_interval_minutes, website.id);
+  });
+}
+
+function startScheduler() {
+  const check = () => {
+    try {
+      queueDueResyncs();
+    } catch (error) {
+      console.error('Error queuing scheduled re-syncs:', error);
+    }
+  };
+  check();
+  setInterval(check, CHECK_INTERVAL_MS).unref();
+}
+
+module.exports = { startScheduler };
@@ -0,0 +1,47 @@
+const db = require('../db');
+const { countUntranslated, translateWebsite } = require('../translator');
+
+const findWebsiteById = db.prepare('SELECT id, domain, source_language FROM websites WHERE id = ?');
+
+// Translate a website into each target language. Params: { targetLanguages, retryFailed }.
+// With `retryFailed` only segments that previously failed are sent again.
+// Translations are saved per batch, so a resumed job only picks up what is left.
+async function translateWebsiteJob({ job, params, state, signal, progress, saveState, addError }) {
+  const website = findWebsiteById.get(job.websiteId);
+  if (!website) {
+    throw new Error('Website not found');
+  }
+
+  const status = params.retryFailed ? 'failed' : 'pending';
+  const languages = params.targetLanguages.filter(language => language !== website.source_language);
+  const translated = state.translated || {};
+  const failed = state.failed || {};
+  const fromMemory = state.fromMemory || {};
+
+  const total = languages.reduce((sum, language) => sum + countUntranslated(website, language, { status }), 0);
+  let done = 0;
+  progress(done, total);
+
+  for (const language of languages) {
+    if (signal.aborted) break;
+
+    const result = await translateWebsite(website, language, {
+      status,
+      signal,
+      onProgress: (count) => {
+        done += count;
+        progress(done, total);
+      },
+      onError: addError
+    });
+
+    translated[language] = (translated[language] || 0) + result.segments - result.failed;
+    failed[language] = result.failed;
+    fromMemory[language] = (fromMemory[language] || 0) + result.fromMemory;
+    saveState({ translated, failed, fromMemory });
+  }
+
+  return { translated, failed, fromMemory };
+}
+
+module.exports = translateWebsiteJob;
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const db = require('./db');
+
+// Minimum similarity (0-1) for a fuzzy match to be returned
+const FUZZY_THRESHOLD = Number(process.env.TM_FUZZY_THRESHOLD) || 0.75;
+// Upper bound on candidates scored per fuzzy lookup. The closest lengths are taken
+// first, since they are the ones that can be most similar.
+const FUZZY_CANDIDATES = 500;
+
+// Every account has its own memory (user_id); lookups and writes never cross accounts
+const findEntry = db.prepare(`
+  SELECT * FROM translation_memory
+  WHERE user_id = ? AND source_hash = ? AND source_language = ? AND target_language = ?
+`);
+
+const findCandidates = db.prepare(`
+  SELECT * FROM translation_memory
+  WHERE user_id = ? AND source_language = ? AND target_language = ?
+  AND source_length BETWEEN ? AND ?
+  ORDER BY ABS(source_length - ?), usage_count DESC
+  LIMIT ${FUZZY_CANDIDATES}
+`);
+
+const findEntryById = db.prepare('SELECT * FROM translation_memory WHERE id = ?');
+
+const incrementUsage = db.prepare(`
+  UPDATE translation_memory SET usage_count = usage_count + 1 WHERE id = ?
+`);
+
+// Entries belong to the owner of the website they come from, and only replace that
+// owner's entries. Human translations always replace machine ones; machine output
+// never replaces a human translation.
+const upsertEntry = db.prepare(`
+  INSERT INTO translation_memory (
+    user_id, source_hash, source_language, target_language, source_text, source_length,
+    target_text, origin, provider, website_id, updated_at
+  )
+  SELECT user_id, @sourceHash, @sourceLanguage, @targetLanguage, @sourceText, @sourceLength,
+    @targetText, @origin, @provider, id, datetime('now')
+  FROM websites WHERE id = @websiteId AND user_id IS NOT NULL
+  ON CONFLICT (user_id, source_hash, source_language, target_language) DO UPDATE SET
+    target_text = excluded.target_text,
+    origin = excluded.origin,
+    provider = excluded.provider,
+    website_id = excluded.website_id,
+    updated_at = excluded.updated_at
+  WHERE excluded.origin = 'human' OR translation_memory.origin = 'machine'
+`);
+
+const deleteEntry = db.prepare('DELETE FROM translation_memory WHERE id = ?');
+
+// Whitespace and Unicode composition differences don't make a different source text
+function normalizeText(text) {
+  return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(normalizeText(text)).digest('hex');
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Similarity between 0 (unrelated) and 1 (identical after normalization)
+function similarity(a, b) {
+  const left = normalizeText(a).toLowerCase();
+  const right = normalizeText(b).toLowerCase();
+  const longest = Math.max(left.length, right.length);
+  if (!longest) return 1;
+  return 1 - levenshtein(left, right) / longest;
+}
+
+// The exact match in the memory of account `userId`
+function findExactMatch(text, sourceLanguage, targetLanguage, userId) {
+  return findEntry.get(userId, hashText(text), sourceLanguage, targetLanguage) || null;
+}
+
+// Entries whose source text is at least `threshold` similar, best match first.
+// Only sources of compatible length can reach the threshold, which bounds the scan.
+function findFuzzyMatches(text, sourceLanguage, targetLanguage, userId, { threshold = FUZZY_THRESHOLD, limit = 5 } = {}) {
+  const length = normalizeText(text).length;
+  const candidates = findCandidates.all(
+    userId,
+    sourceLanguage,
+    targetLanguage,
+    Math.floor(length * threshold),
+    Math.ceil(length / threshold),
+    length
+  );
+
+  return candidates
+    .map(entry => ({ ...entry, similarity: similarity(text, entry.source_text) }))
+    .filter(entry => entry.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+// Count an entry that a translation run reused instead of calling a provider
+function markUsed(entryId) {
+  incrementUsage.run(entryId);
+}
+
+// Record a translation from a website in its owner's memory; `origin` is 'machine' or 'human'
+function remember({ sourceText, sourceLanguage, targetLanguage, targetText, origin = 'machine', provider = null, websiteId }) {
+  if (!targetText) return;
+
+  upsertEntry.run({
+    sourceHash: hashText(sourceText),
+    sourceLanguage,
+    targetLanguage,
+    sourceText: normalizeText(sourceText),
+    sourceLength: normalizeText(sourceText).length,
+    targetText,
+    origin,
+    provider,
+    websiteId
+  });
+}
+
+function getEntry(id) {
+  return findEntryById.get(id) || null;
+}
+
+function removeEntry(id) {
+  return deleteEntry.run(id).changes > 0;
+}
+
+module.exports = {
+  FUZZY_THRESHOLD,
+  normalizeText,
+  hashText,
+  similarity,
+  findExactMatch,
+  findFuzzyMatches,
+  markUsed,
+  remember,
+  getEntry,
+  removeEntry
+};
@@ -0,0 +1,29 @@
+// Baseline schema. Uses IF NOT EXISTS so databases created before migrations
+// existed are adopted as-is instead of being recreated.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS websites (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      domain TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS translations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      website_id INTEGER NOT NULL,
+      original_text TEXT NOT NULL,
+      translated_text TEXT,
+      language TEXT NOT NULL,
+      path TEXT NOT NULL,
+      element_type TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (website_id) REFERENCES websites (id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_translations_website_path_language
+      ON translations (website_id, path, language);
+
+    CREATE INDEX IF NOT EXISTS idx_translations_original_text
+      ON translations (original_text);
+  `);
+};
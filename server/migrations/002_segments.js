@@ -0,0 +1,58 @@
+// Split extracted source text (segments) from its per-language translations.
+// Previously a translation run overwrote the 'en' source row in place, so each
+// legacy row becomes a segment, and rows that had been translated also become a
+// translation in the language they were overwritten with.
+exports.up = (db) => {
+  db.exec(`
+    ALTER TABLE websites ADD COLUMN source_language TEXT NOT NULL DEFAULT 'en';
+
+    ALTER TABLE translations RENAME TO legacy_translations;
+    DROP INDEX IF EXISTS idx_translations_website_path_language;
+    DROP INDEX IF EXISTS idx_translations_original_text;
+
+    CREATE TABLE segments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      website_id INTEGER NOT NULL,
+      path TEXT NOT NULL,
+      element_type TEXT NOT NULL,
+      original_text TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (website_id) REFERENCES websites (id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE translations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      segment_id INTEGER NOT NULL,
+      language TEXT NOT NULL,
+      translated_text TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (segment_id) REFERENCES segments (id) ON DELETE CASCADE
+    );
+
+    CREATE UNIQUE INDEX idx_segments_identity
+      ON segments (website_id, path, element_type, original_text);
+    CREATE INDEX idx_segments_original_text ON segments (original_text);
+    CREATE UNIQUE INDEX idx_translations_segment_language
+      ON translations (segment_id, language);
+    CREATE INDEX idx_translations_language ON translations (language);
+
+    INSERT OR IGNORE INTO segments (website_id, path, element_type, original_text, created_at)
+    SELECT website_id, path, element_type, original_text, created_at
+    FROM legacy_translations
+    ORDER BY id;
+
+    INSERT OR IGNORE INTO translations (segment_id, language, translated_text, created_at, updated_at)
+    SELECT s.id, l.language, l.translated_text, l.created_at, l.created_at
+    FROM legacy_translations l
+    JOIN segments s
+      ON s.website_id = l.website_id
+      AND s.path = l.path
+      AND s.element_type = l.element_type
+      AND s.original_text = l.original_text
+    JOIN websites w ON w.id = l.website_id
+    WHERE l.translated_text IS NOT NULL AND l.language <> w.source_language;
+
+    DROP TABLE legacy_translations;
+  `);
+};
@@ -0,0 +1,17 @@
+// Per-website provider order, optionally overridden per target language.
+// language '*' holds the website-wide default.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE provider_settings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      website_id INTEGER NOT NULL,
+      language TEXT NOT NULL DEFAULT '*',
+      providers TEXT NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (website_id) REFERENCES websites (id) ON DELETE CASCADE
+    );
+
+    CREATE UNIQUE INDEX idx_provider_settings_website_language
+      ON provider_settings (website_id, language);
+  `);
+};
@@ -0,0 +1,27 @@
+// Background jobs for crawling and translation. `state` holds handler checkpoints
+// so a job interrupted by a restart resumes where it stopped.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      website_id INTEGER,
+      status TEXT NOT NULL DEFAULT 'queued',
+      params TEXT NOT NULL DEFAULT '{}',
+      state TEXT NOT NULL DEFAULT '{}',
+      result TEXT,
+      errors TEXT NOT NULL DEFAULT '[]',
+      error TEXT,
+      progress_done INTEGER NOT NULL DEFAULT 0,
+      progress_total INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      started_at TIMESTAMP,
+      finished_at TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (website_id) REFERENCES websites (id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX idx_jobs_status ON jobs (status);
+    CREATE INDEX idx_jobs_website ON jobs (website_id);
+  `);
+};
@@ -0,0 +1,17 @@
+// Track the outcome of every translation attempt instead of storing the source
+// text when a provider fails.
+exports.up = (db) => {
+  db.exec(`
+    ALTER TABLE translations ADD COLUMN status TEXT NOT NULL DEFAULT 'pending';
+    ALTER TABLE translations ADD COLUMN error TEXT;
+    ALTER TABLE translations ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE translations ADD COLUMN provider TEXT;
+    ALTER TABLE translations ADD COLUMN last_attempt_at TIMESTAMP;
+
+    UPDATE translations
+    SET status = 'translated', attempts = 1, last_attempt_at = updated_at
+    WHERE translated_text IS NOT NULL;
+
+    CREATE INDEX idx_translations_status ON translations (status);
+  `);
+};
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+// Translation memory shared by all pages and websites, keyed by a hash of the
+// normalized source text and the language pair. Existing translations seed it.
+// The normalization is inlined (not imported from memory.js) so this migration
+// keeps producing the same hashes if that module changes later.
+function normalizeText(text) {
+  return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(normalizeText(text)).digest('hex');
+}
+
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE translation_memory (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_hash TEXT NOT NULL,
+      source_language TEXT NOT NULL,
+      target_language TEXT NOT NULL,
+      source_text TEXT NOT NULL,
+      source_length INTEGER NOT NULL,
+      target_text TEXT NOT NULL,
+      origin TEXT NOT NULL DEFAULT 'machine',
+      provider TEXT,
+      website_id INTEGER,
+      usage_count INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (website_id) REFERENCES websites (id) ON DELETE SET NULL
+    );
+
+    CREATE UNIQUE INDEX idx_translation_memory_key
+      ON translation_memory (source_hash, source_language, target_language);
+    CREATE INDEX idx_translation_memory_length
+      ON translation_memory (source_language, target_language, source_length);
+  `);
+
+  const insertEntry = db.prepare(`
+    INSERT OR IGNORE INTO translation_memory (
+      source_hash, source_language, target_language, source_text, source_length,
+      target_text, origin, provider, website_id
+    ) VALUES (?, ?, ?, ?, ?, ?, 'machine', ?, ?)
+  `);
+
+  const translated = db.prepare(`
+    SELECT s.original_text, t.translated_text, t.language, t.provider, w.id AS website_id, w.source_language
+    FROM translations t
+    JOIN segments s ON t.segment_id = s.id
+    JOIN websites w ON s.website_id = w.id
+    WHERE t.status = 'translated'
+    ORDER BY t.updated_at DESC
+  `).all();
+
+  translated.forEach(row => {
+    const sourceText = normalizeText(row.original_text);
+    insertEntry.run(
+      hashText(sourceText),
+      row.source_language,
+      row.language,
+      sourceText,
+      sourceText.length,
+      row.translated_text,
+      row.provider,
+      row.website_id
+    );
+  });
+};
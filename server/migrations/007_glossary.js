@@ -0,0 +1,22 @@
+// Per-website glossary. A term either has a fixed translation for one language or
+// is marked do-not-translate; language '*' applies a rule to every language.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE glossary_terms (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      website_id INTEGER NOT NULL,
+      term TEXT NOT NULL,
+      language TEXT NOT NULL DEFAULT '*',
+      translation TEXT,
+      do_not_translate INTEGER NOT NULL DEFAULT 0,
+      case_sensitive INTEGER NOT NULL DEFAULT 1,
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (website_id) REFERENCES websites (id) ON DELETE CASCADE
+    );
+
+    CREATE UNIQUE INDEX idx_glossary_terms_website_term_language
+      ON glossary_terms (website_id, term, language);
+  `);
+};
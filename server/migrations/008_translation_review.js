@@ -0,0 +1,48 @@
+// Human review workflow: every translation has a review status and every change to
+// its text or review status is kept in translation_history by a trigger, so no code
+// path can skip it. `updated_by` names the author of the latest change.
+exports.up = (db) => {
+  db.exec(`
+    ALTER TABLE translations ADD COLUMN review_status TEXT NOT NULL DEFAULT 'machine';
+    ALTER TABLE translations ADD COLUMN updated_by TEXT;
+
+    ALTER TABLE websites ADD COLUMN approved_only INTEGER NOT NULL DEFAULT 0;
+
+    CREATE TABLE translation_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      translation_id INTEGER NOT NULL,
+      translated_text TEXT,
+      review_status TEXT NOT NULL,
+      author TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (translation_id) REFERENCES translations (id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX idx_translation_history_translation ON translation_history (translation_id);
+    CREATE INDEX idx_translations_review_status ON translations (review_status);
+
+    CREATE TRIGGER translations_history_on_update
+    AFTER UPDATE OF translated_text, review_status ON translations
+    WHEN NEW.translated_text IS NOT NULL AND (
+      OLD.translated_text IS NOT NEW.translated_text
+      OR OLD.review_status IS NOT NEW.review_status
+    )
+    BEGIN
+      INSERT INTO translation_history (translation_id, translated_text, review_status, author, created_at)
+      VALUES (NEW.id, NEW.translated_text, NEW.review_status, NEW.updated_by, datetime('now'));
+    END;
+
+    CREATE TRIGGER translations_history_on_insert
+    AFTER INSERT ON translations
+    WHEN NEW.translated_text IS NOT NULL
+    BEGIN
+      INSERT INTO translation_history (translation_id, translated_text, review_status, author, created_at)
+      VALUES (NEW.id, NEW.translated_text, NEW.review_status, NEW.updated_by, datetime('now'));
+    END;
+
+    INSERT INTO translation_history (translation_id, translated_text, review_status, author, created_at)
+    SELECT id, translated_text, review_status, provider, updated_at
+    FROM translations
+    WHERE translated_text IS NOT NULL;
+  `);
+};
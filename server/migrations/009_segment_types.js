@@ -0,0 +1,13 @@
+// Segments can come from attributes and metadata as well as element text.
+// segment_type is 'text', 'attribute', 'title' or 'meta'; context names the
+// attribute (alt, placeholder, ...) or meta tag (description, og:title, ...).
+exports.up = (db) => {
+  db.exec(`
+    ALTER TABLE segments ADD COLUMN segment_type TEXT NOT NULL DEFAULT 'text';
+    ALTER TABLE segments ADD COLUMN context TEXT NOT NULL DEFAULT '';
+
+    DROP INDEX idx_segments_identity;
+    CREATE UNIQUE INDEX idx_segments_identity
+      ON segments (website_id, path, segment_type, element_type, context, original_text);
+  `);
+};
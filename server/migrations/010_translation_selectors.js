@@ -0,0 +1,8 @@
+// Per-website CSS selectors limiting what gets translated, as JSON arrays.
+// include_selectors empty means the whole page.
+exports.up = (db) => {
+  db.exec(`
+    ALTER TABLE websites ADD COLUMN include_selectors TEXT NOT NULL DEFAULT '[]';
+    ALTER TABLE websites ADD COLUMN exclude_selectors TEXT NOT NULL DEFAULT '[]';
+  `);
+};
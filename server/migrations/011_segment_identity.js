@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+// Segments are identified by a hash of their source text plus their structural
+// position on the page (see segmenter.js), so rendering matches them exactly.
+// Paths are stored with a leading slash and no trailing slash.
+// Normalization is inlined, as in 006, so hashes stay stable.
+function normalizeText(text) {
+  return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(normalizeText(text)).digest('hex');
+}
+
+exports.up = (db) => {
+  db.exec(`
+    ALTER TABLE segments ADD COLUMN source_hash TEXT;
+    ALTER TABLE segments ADD COLUMN position TEXT NOT NULL DEFAULT '';
+
+    DROP INDEX idx_segments_identity;
+    CREATE UNIQUE INDEX idx_segments_identity
+      ON segments (website_id, path, segment_type, element_type, context, source_hash, position);
+    CREATE INDEX idx_segments_hash ON segments (website_id, source_hash);
+  `);
+
+  const updateHash = db.prepare('UPDATE segments SET source_hash = ? WHERE id = ?');
+  db.prepare('SELECT id, original_text FROM segments').all().forEach(segment => {
+    updateHash.run(hashText(segment.original_text), segment.id);
+  });
+
+  // Pages were looked up without the leading slash they were stored with. A segment
+  // stored under both spellings keeps the normalized one; the other copy is dropped
+  // with its translations.
+  db.exec(`
+    UPDATE OR IGNORE segments SET path = '/' || path WHERE path NOT LIKE '/%';
+    UPDATE OR IGNORE segments SET path = rtrim(path, '/') WHERE length(path) > 1 AND path LIKE '%/';
+
+    DELETE FROM segments WHERE path NOT LIKE '/%' OR (length(path) > 1 AND path LIKE '%/');
+  `);
+};
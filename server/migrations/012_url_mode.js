@@ -0,0 +1,6 @@
+// How /view URLs carry the language: 'query' (?lang=fr) or 'prefix' (/fr/about)
+exports.up = (db) => {
+  db.exec(`
+    ALTER TABLE websites ADD COLUMN url_mode TEXT NOT NULL DEFAULT 'query';
+  `);
+};
@@ -0,0 +1,31 @@
+// Localized URL paths ("slugs") per page and language, e.g. /about -> /a-propos in
+// French. Replaced slugs keep redirecting to their page.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE page_slugs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      website_id INTEGER NOT NULL,
+      path TEXT NOT NULL,
+      language TEXT NOT NULL,
+      slug TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (website_id) REFERENCES websites (id) ON DELETE CASCADE
+    );
+
+    CREATE UNIQUE INDEX idx_page_slugs_path ON page_slugs (website_id, path, language);
+    CREATE UNIQUE INDEX idx_page_slugs_slug ON page_slugs (website_id, language, slug);
+
+    CREATE TABLE slug_redirects (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      website_id INTEGER NOT NULL,
+      language TEXT NOT NULL,
+      old_slug TEXT NOT NULL,
+      path TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (website_id) REFERENCES websites (id) ON DELETE CASCADE
+    );
+
+    CREATE UNIQUE INDEX idx_slug_redirects_slug ON slug_redirects (website_id, language, old_slug);
+  `);
+};
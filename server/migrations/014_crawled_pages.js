@@ -0,0 +1,24 @@
+// Pages discovered by the crawler, so the page list can be reused without crawling
+// again. Each crawl updates the pages it finds; job_id is the crawl that last saw a page.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE crawled_pages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      website_id INTEGER NOT NULL,
+      path TEXT NOT NULL,
+      url TEXT NOT NULL,
+      title TEXT,
+      text_count INTEGER NOT NULL DEFAULT 0,
+      depth INTEGER NOT NULL DEFAULT 0,
+      source TEXT NOT NULL,
+      canonical_url TEXT,
+      status_code INTEGER,
+      job_id INTEGER,
+      crawled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (website_id) REFERENCES websites (id) ON DELETE CASCADE,
+      FOREIGN KEY (job_id) REFERENCES jobs (id) ON DELETE SET NULL
+    );
+
+    CREATE UNIQUE INDEX idx_crawled_pages_path ON crawled_pages (website_id, path);
+  `);
+};
@@ -0,0 +1,34 @@
+// Incremental re-sync: every fetch diffs a page's segments against the stored ones.
+// sync_status is the outcome for a segment at its page's last sync: 'new', 'unchanged',
+// 'changed' (text replaced at the same position) or 'removed' (no longer on the page).
+// Removed segments keep their translations but are no longer translated or exported.
+// sync_runs stores the change report of each re-sync run.
+exports.up = (db) => {
+  db.exec(`
+    ALTER TABLE segments ADD COLUMN sync_status TEXT NOT NULL DEFAULT 'new';
+    ALTER TABLE segments ADD COLUMN synced_at TIMESTAMP;
+    CREATE INDEX idx_segments_page ON segments (website_id, path);
+
+    ALTER TABLE websites ADD COLUMN resync_interval_minutes INTEGER;
+    ALTER TABLE websites ADD COLUMN next_resync_at TIMESTAMP;
+
+    CREATE TABLE sync_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      website_id INTEGER NOT NULL,
+      job_id INTEGER,
+      trigger TEXT NOT NULL DEFAULT 'manual',
+      pages_count INTEGER NOT NULL DEFAULT 0,
+      new_count INTEGER NOT NULL DEFAULT 0,
+      unchanged_count INTEGER NOT NULL DEFAULT 0,
+      changed_count INTEGER NOT NULL DEFAULT 0,
+      removed_count INTEGER NOT NULL DEFAULT 0,
+      report TEXT NOT NULL DEFAULT '[]',
+      translate_job_id INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (website_id) REFERENCES websites (id) ON DELETE CASCADE,
+      FOREIGN KEY (job_id) REFERENCES jobs (id) ON DELETE SET NULL
+    );
+
+    CREATE INDEX idx_sync_runs_website ON sync_runs (website_id, id);
+  `);
+};
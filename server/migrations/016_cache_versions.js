@@ -0,0 +1,69 @@
+// Rendered pages are cached per website and language (see render/cache.js). Triggers
+// bump a version whenever something that changes a rendered page is written, so no code
+// path can leave a stale page behind: translations per language, and slugs (which appear
+// in every language's links and alternates), publishing and selector settings for every
+// language ('*').
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE cache_versions (
+      website_id INTEGER NOT NULL,
+      language TEXT NOT NULL,
+      version INTEGER NOT NULL DEFAULT 1,
+      PRIMARY KEY (website_id, language),
+      FOREIGN KEY (website_id) REFERENCES websites (id) ON DELETE CASCADE
+    );
+
+    CREATE TRIGGER cache_versions_on_translation_insert
+    AFTER INSERT ON translations
+    BEGIN
+      INSERT INTO cache_versions (website_id, language)
+      SELECT website_id, NEW.language FROM segments WHERE id = NEW.segment_id
+      ON CONFLICT (website_id, language) DO UPDATE SET version = version + 1;
+    END;
+
+    CREATE TRIGGER cache_versions_on_translation_update
+    AFTER UPDATE OF translated_text, status, review_status ON translations
+    BEGIN
+      INSERT INTO cache_versions (website_id, language)
+      SELECT website_id, NEW.language FROM segments WHERE id = NEW.segment_id
+      ON CONFLICT (website_id, language) DO UPDATE SET version = version + 1;
+    END;
+
+    CREATE TRIGGER cache_versions_on_translation_delete
+    AFTER DELETE ON translations
+    BEGIN
+      INSERT INTO cache_versions (website_id, language)
+      SELECT website_id, OLD.language FROM segments WHERE id = OLD.segment_id
+      ON CONFLICT (website_id, language) DO UPDATE SET version = version + 1;
+    END;
+
+    CREATE TRIGGER cache_versions_on_website_update
+    AFTER UPDATE OF source_language, approved_only, url_mode, include_selectors, exclude_selectors
+    ON websites
+    BEGIN
+      INSERT INTO cache_versions (website_id, language) VALUES (NEW.id, '*')
+      ON CONFLICT (website_id, language) DO UPDATE SET version = version + 1;
+    END;
+
+    CREATE TRIGGER cache_versions_on_slug_insert
+    AFTER INSERT ON page_slugs
+    BEGIN
+      INSERT INTO cache_versions (website_id, language) VALUES (NEW.website_id, '*')
+      ON CONFLICT (website_id, language) DO UPDATE SET version = version + 1;
+    END;
+
+    CREATE TRIGGER cache_versions_on_slug_update
+    AFTER UPDATE ON page_slugs
+    BEGIN
+      INSERT INTO cache_versions (website_id, language) VALUES (NEW.website_id, '*')
+      ON CONFLICT (website_id, language) DO UPDATE SET version = version + 1;
+    END;
+
+    CREATE TRIGGER cache_versions_on_slug_delete
+    AFTER DELETE ON page_slugs
+    BEGIN
+      INSERT INTO cache_versions (website_id, language) VALUES (OLD.website_id, '*')
+      ON CONFLICT (website_id, language) DO UPDATE SET version = version + 1;
+    END;
+  `);
+};
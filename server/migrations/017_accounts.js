@@ -0,0 +1,42 @@
+// Accounts: users own websites and call the API with keys (stored as sha256 hashes)
+// limited to scopes. A website is only published once its owner has proven control of
+// the domain with the verification token (see verification.js). Existing websites keep
+// no owner until one is assigned with `npm run create-account -- --adopt`.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL,
+      name TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE UNIQUE INDEX idx_users_email ON users (email COLLATE NOCASE);
+
+    CREATE TABLE api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      key_prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP,
+      revoked_at TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+
+    CREATE UNIQUE INDEX idx_api_keys_hash ON api_keys (key_hash);
+    CREATE INDEX idx_api_keys_user ON api_keys (user_id);
+
+    ALTER TABLE websites ADD COLUMN user_id INTEGER REFERENCES users (id) ON DELETE CASCADE;
+    ALTER TABLE websites ADD COLUMN verification_token TEXT;
+    ALTER TABLE websites ADD COLUMN verification_method TEXT;
+    ALTER TABLE websites ADD COLUMN verified_at TIMESTAMP;
+
+    UPDATE websites SET verification_token = lower(hex(randomblob(16)));
+
+    CREATE INDEX idx_websites_user ON websites (user_id);
+    CREATE INDEX idx_websites_domain ON websites (domain);
+  `);
+};
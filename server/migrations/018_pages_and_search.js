@@ -0,0 +1,70 @@
+// Pages and translation search for the management API.
+// Every page of a website now has a crawled_pages row, whether it was found by a crawl
+// ('start', 'link', 'sitemap'), fetched directly ('fetch') or added by hand ('manual');
+// fetched_at is when its segments were last stored. Existing fetched pages are added.
+// segments_search and translations_search are FTS5 indexes over source and translated
+// text, kept in sync with their tables by triggers.
+exports.up = (db) => {
+  db.exec(`
+    ALTER TABLE crawled_pages ADD COLUMN fetched_at TIMESTAMP;
+
+    INSERT INTO crawled_pages (website_id, path, url, source, fetched_at, crawled_at)
+    SELECT w.id, s.path,
+      (CASE WHEN w.domain LIKE '%localhost%' THEN 'http://' ELSE 'https://' END) || w.domain || s.path,
+      'fetch', MAX(s.synced_at), MIN(s.created_at)
+    FROM segments s
+    JOIN websites w ON s.website_id = w.id
+    WHERE s.sync_status <> 'removed'
+    GROUP BY w.id, s.path
+    ON CONFLICT (website_id, path) DO UPDATE SET fetched_at = excluded.fetched_at;
+
+    CREATE VIRTUAL TABLE segments_search USING fts5(
+      original_text, content = 'segments', content_rowid = 'id',
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+
+    CREATE VIRTUAL TABLE translations_search USING fts5(
+      translated_text, content = 'translations', content_rowid = 'id',
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+
+    INSERT INTO segments_search (segments_search) VALUES ('rebuild');
+    INSERT INTO translations_search (translations_search) VALUES ('rebuild');
+
+    CREATE TRIGGER segments_search_insert AFTER INSERT ON segments
+    BEGIN
+      INSERT INTO segments_search (rowid, original_text) VALUES (NEW.id, NEW.original_text);
+    END;
+
+    CREATE TRIGGER segments_search_update AFTER UPDATE OF original_text ON segments
+    BEGIN
+      INSERT INTO segments_search (segments_search, rowid, original_text)
+      VALUES ('delete', OLD.id, OLD.original_text);
+      INSERT INTO segments_search (rowid, original_text) VALUES (NEW.id, NEW.original_text);
+    END;
+
+    CREATE TRIGGER segments_search_delete AFTER DELETE ON segments
+    BEGIN
+      INSERT INTO segments_search (segments_search, rowid, original_text)
+      VALUES ('delete', OLD.id, OLD.original_text);
+    END;
+
+    CREATE TRIGGER translations_search_insert AFTER INSERT ON translations
+    BEGIN
+      INSERT INTO translations_search (rowid, translated_text) VALUES (NEW.id, NEW.translated_text);
+    END;
+
+    CREATE TRIGGER translations_search_update AFTER UPDATE OF translated_text ON translations
+    BEGIN
+      INSERT INTO translations_search (translations_search, rowid, translated_text)
+      VALUES ('delete', OLD.id, OLD.translated_text);
+      INSERT INTO translations_search (rowid, translated_text) VALUES (NEW.id, NEW.translated_text);
+    END;
+
+    CREATE TRIGGER translations_search_delete AFTER DELETE ON translations
+    BEGIN
+      INSERT INTO translations_search (translations_search, rowid, translated_text)
+      VALUES ('delete', OLD.id, OLD.translated_text);
+    END;
+  `);
+};
@@ -0,0 +1,23 @@
+// Quality checks on translated text (see qa.js). qa_issues holds the problems found
+// in a translation the last time it was checked, one row per issue, replaced on every
+// check. websites.qa_length_limits overrides the default length limits per element
+// type as a JSON object: { "title": 1.5, "button": 2 }.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE qa_issues (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      translation_id INTEGER NOT NULL REFERENCES translations(id) ON DELETE CASCADE,
+      rule TEXT NOT NULL,
+      severity TEXT NOT NULL,
+      message TEXT NOT NULL,
+      details TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX idx_qa_issues_translation ON qa_issues (translation_id);
+    CREATE INDEX idx_qa_issues_rule ON qa_issues (rule);
+
+    ALTER TABLE translations ADD COLUMN qa_checked_at TIMESTAMP;
+    ALTER TABLE websites ADD COLUMN qa_length_limits TEXT NOT NULL DEFAULT '{}';
+  `);
+};
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+// Translation memory belongs to an account: entries are keyed by user as well as by
+// source text and language pair, so one account's translations are never reused on, or
+// replaced from, another account's websites. Existing entries go to the owner of the
+// website they came from. Entries of deleted websites have no owner left and are
+// dropped; those of websites nobody owns yet are given to the account adopting them
+// (see accounts.js). Each account's memory is then seeded with its own translations,
+// which the shared memory may have kept out; human ones win over machine ones.
+// The normalization is inlined, as in migration 6, so hashes stay stable.
+function normalizeText(text) {
+  return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(normalizeText(text)).digest('hex');
+}
+
+exports.up = (db) => {
+  db.exec(`
+    ALTER TABLE translation_memory ADD COLUMN user_id INTEGER REFERENCES users (id) ON DELETE CASCADE;
+
+    UPDATE translation_memory
+    SET user_id = (SELECT user_id FROM websites WHERE websites.id = translation_memory.website_id);
+
+    DELETE FROM translation_memory WHERE website_id IS NULL;
+
+    DROP INDEX idx_translation_memory_key;
+    DROP INDEX idx_translation_memory_length;
+
+    CREATE UNIQUE INDEX idx_translation_memory_key
+      ON translation_memory (user_id, source_hash, source_language, target_language);
+    CREATE INDEX idx_translation_memory_length
+      ON translation_memory (user_id, source_language, target_language, source_length);
+  `);
+
+  const insertEntry = db.prepare(`
+    INSERT OR IGNORE INTO translation_memory (
+      user_id, source_hash, source_language, target_language, source_text, source_length,
+      target_text, origin, provider, website_id
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const translated = db.prepare(`
+    SELECT s.original_text, t.translated_text, t.language, t.provider, t.review_status,
+      w.id AS website_id, w.user_id, w.source_language
+    FROM translations t
+    JOIN segments s ON t.segment_id = s.id
+    JOIN websites w ON s.website_id = w.id
+    WHERE t.status = 'translated' AND w.user_id IS NOT NULL AND t.translated_text <> ''
+    ORDER BY t.review_status = 'machine', t.updated_at DESC
+  `).all();
+
+  translated.forEach(row => {
+    const sourceText = normalizeText(row.original_text);
+    insertEntry.run(
+      row.user_id,
+      hashText(sourceText),
+      row.source_language,
+      row.language,
+      sourceText,
+      sourceText.length,
+      row.translated_text,
+      row.review_status === 'machine' ? 'machine' : 'human',
+      row.provider,
+      row.website_id
+    );
+  });
+};
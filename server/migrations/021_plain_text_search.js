@@ -0,0 +1,66 @@
+// Search indexes over the text a reader sees. Migration 18 indexed raw segment text, so
+// placeholder tags and entities (<g1>, &amp;) matched searches for "g1" or "amp". The
+// indexes now store segment_plain_text() of each row (registered in db.js) and are
+// kept up to date by triggers.
+exports.up = (db) => {
+  db.exec(`
+    DROP TRIGGER segments_search_insert;
+    DROP TRIGGER segments_search_update;
+    DROP TRIGGER segments_search_delete;
+    DROP TRIGGER translations_search_insert;
+    DROP TRIGGER translations_search_update;
+    DROP TRIGGER translations_search_delete;
+    DROP TABLE segments_search;
+    DROP TABLE translations_search;
+
+    CREATE VIRTUAL TABLE segments_search USING fts5(
+      text, tokenize = 'unicode61 remove_diacritics 2'
+    );
+
+    CREATE VIRTUAL TABLE translations_search USING fts5(
+      text, tokenize = 'unicode61 remove_diacritics 2'
+    );
+
+    INSERT INTO segments_search (rowid, text)
+    SELECT id, segment_plain_text(original_text) FROM segments;
+
+    INSERT INTO translations_search (rowid, text)
+    SELECT id, segment_plain_text(translated_text) FROM translations
+    WHERE translated_text IS NOT NULL;
+
+    CREATE TRIGGER segments_search_insert AFTER INSERT ON segments
+    BEGIN
+      INSERT INTO segments_search (rowid, text) VALUES (NEW.id, segment_plain_text(NEW.original_text));
+    END;
+
+    CREATE TRIGGER segments_search_update AFTER UPDATE OF original_text ON segments
+    BEGIN
+      DELETE FROM segments_search WHERE rowid = OLD.id;
+      INSERT INTO segments_search (rowid, text) VALUES (NEW.id, segment_plain_text(NEW.original_text));
+    END;
+
+    CREATE TRIGGER segments_search_delete AFTER DELETE ON segments
+    BEGIN
+      DELETE FROM segments_search WHERE rowid = OLD.id;
+    END;
+
+    CREATE TRIGGER translations_search_insert AFTER INSERT ON translations
+    WHEN NEW.translated_text IS NOT NULL
+    BEGIN
+      INSERT INTO translations_search (rowid, text)
+      VALUES (NEW.id, segment_plain_text(NEW.translated_text));
+    END;
+
+    CREATE TRIGGER translations_search_update AFTER UPDATE OF translated_text ON translations
+    BEGIN
+      DELETE FROM translations_search WHERE rowid = OLD.id;
+      INSERT INTO translations_search (rowid, text)
+      SELECT NEW.id, segment_plain_text(NEW.translated_text) WHERE NEW.translated_text IS NOT NULL;
+    END;
+
+    CREATE TRIGGER translations_search_delete AFTER DELETE ON translations
+    BEGIN
+      DELETE FROM translations_search WHERE rowid = OLD.id;
+    END;
+  `);
+};
@@ -0,0 +1,12 @@
+// Crawls with the keepQueryStrings option (now removed) stored pages as "/list?page=2".
+// Pages are fetched and served by path alone, so each such page becomes its bare path,
+// unless that page is stored already, and the query variants are dropped.
+exports.up = (db) => {
+  db.exec(`
+    UPDATE OR IGNORE crawled_pages
+    SET path = substr(path, 1, instr(path, '?') - 1), url = substr(url, 1, instr(url, '?') - 1)
+    WHERE instr(path, '?') > 0 AND instr(url, '?') > 0;
+
+    DELETE FROM crawled_pages WHERE instr(path, '?') > 0;
+  `);
+};
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+
+// Migration files are named `<version>_<name>.js` and export an `up(db)` function
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+function loadMigrations() {
+  return fs.readdirSync(__dirname)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE);
+      if (!match) return null;
+      return {
+        version: Number(match[1]),
+        name: match[2],
+        up: require(path.join(__dirname, file)).up
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+}
+
+// Apply every migration newer than the version recorded in the database
+function migrate(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  const applied = new Set(
+    db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+  );
+  const recordMigration = db.prepare(`
+    INSERT INTO schema_migrations (version, name, applied_at)
+    VALUES (?, ?, datetime('now'))
+  `);
+
+  const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    // Each migration runs in its own transaction so a failure leaves the schema untouched
+    db.transaction(() => {
+      migration.up(db);
+      recordMigration.run(migration.version, migration.name);
+    })();
+    console.log(`Applied migration ${migration.version}_${migration.name}`);
+  }
+
+  return pending.length;
+}
+
+module.exports = { migrate, loadMigrations };
+
+// `npm run migrate` opens the database, which applies pending migrations
+if (require.main === module) {
+  const db = require('../db');
+  const current = db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get();
+  console.log(`Database schema is at version ${current.version || 0}`);
+}
@@ -0,0 +1,799 @@
+const { SCOPES } = require('./accounts');
+const { FORMAT_NAMES } = require('./formats');
+const { JOB_STATUSES } = require('./jobs');
+const { RULES: QA_RULES, SEVERITIES: QA_SEVERITIES } = require('./qa');
+const { REVIEW_STATUSES } = require('./review');
+const { URL_MODES } = require('./render/locales');
+const { VERIFICATION_METHODS } = require('./verification');
+const { MAX_PER_PAGE } = require('./utils/pagination');
+
+// OpenAPI 3.0 description of the HTTP API, served at GET /api/openapi.json. Keep it next
+// to the routes it describes: a new or changed endpoint needs an entry here too.
+
+const TRANSLATION_STATUSES = ['pending', 'translated', 'failed'];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ content: { 'application/json': { schema } } });
+const arrayOf = (schema) => ({ type: 'array', items: schema });
+const string = (description, extra = {}) => ({ type: 'string', description, ...extra });
+const integer = (description, extra = {}) => ({ type: 'integer', description, ...extra });
+const boolean = (description) => ({ type: 'boolean', description });
+const object = (properties, required = []) => ({
+  type: 'object',
+  properties,
+  ...(required.length ? { required } : {})
+});
+
+function pathParam(name, description) {
+  return { name, in: 'path', required: true, schema: { type: name.endsWith('Id') ? 'integer' : 'string' }, description };
+}
+
+function query(name, description, schema = { type: 'string' }, required = false) {
+  return { name, in: 'query', required, schema, description };
+}
+
+const params = {
+  websiteId: pathParam('websiteId', 'Website ID'),
+  pageId: pathParam('pageId', 'Page ID'),
+  segmentId: pathParam('segmentId', 'Segment ID'),
+  jobId: pathParam('jobId', 'Job ID'),
+  language: pathParam('language', 'Target language code'),
+  domain: pathParam('domain', 'Domain of a verified website'),
+  page: query('page', 'Result page, from 1', { type: 'integer', minimum: 1, default: 1 }),
+  perPage: query('perPage', 'Results per page', { type: 'integer', minimum: 1, maximum: MAX_PER_PAGE, default: 50 })
+};
+
+const errors = {
+  400: { description: 'Invalid request', ...json(ref('Error')) },
+  401: { description: 'Missing or invalid API key', ...json(ref('Error')) },
+  403: { description: 'The API key lacks the required scope', ...json(ref('Error')) },
+  404: { description: 'Not found, or owned by another user', ...json(ref('Error')) },
+  409: { description: 'Conflicts with stored data', ...json(ref('Error')) }
+};
+
+const ok = (description, schema = { type: 'object' }) => ({ 200: { description, ...json(schema) } });
+const created = (description, schema = { type: 'object' }) => ({ 201: { description, ...json(schema) } });
+const accepted = (description) => ({ 202: { description, ...json(ref('JobStarted')) } });
+
+// One operation. `scope` is the API key scope it needs; public operations pass `public: true`.
+function operation(tag, summary, {
+  scope = 'read',
+  public: isPublic = false,
+  parameters = [],
+  body = null,
+  responses = {},
+  description
+} = {}) {
+  return {
+    tags: [tag],
+    summary,
+    ...(description ? { description } : {}),
+    ...(isPublic ? { security: [] } : { 'x-scope': scope }),
+    parameters,
+    ...(body ? { requestBody: { required: true, ...json(body) } } : {}),
+    responses: {
+      ...responses,
+      ...(isPublic ? {} : { 401: errors[401], 403: errors[403] }),
+      ...(parameters.some(param => param.in === 'path') ? { 404: errors[404] } : {})
+    }
+  };
+}
+
+const schemas = {
+  Error: object({ error: string('What went wrong') }, ['error']),
+  Pagination: object({
+    page: integer('Current page'),
+    perPage: integer('Results per page'),
+    total: integer('Matching results'),
+    pageCount: integer('Number of pages')
+  }),
+  JobStarted: object({
+    message: { type: 'string' },
+    jobId: integer('Poll GET /api/jobs/{jobId} or stream its events'),
+    websiteId: { type: 'integer' },
+    domain: { type: 'string' }
+  }),
+  Job: object({
+    id: { type: 'integer' },
+    type: string('fetch-website, crawl-website, translate-website or resync-website'),
+    websiteId: { type: 'integer' },
+    status: string('Job status', { enum: JOB_STATUSES }),
+    params: { type: 'object' },
+    result: { type: 'object', nullable: true },
+    error: { type: 'string', nullable: true },
+    errors: arrayOf({ type: 'string' }),
+    progress: object({ done: { type: 'integer' }, total: { type: 'integer' } }),
+    createdAt: { type: 'string' },
+    startedAt: { type: 'string', nullable: true },
+    finishedAt: { type: 'string', nullable: true }
+  }),
+  Website: object({
+    id: { type: 'integer' },
+    domain: { type: 'string' },
+    source_language: { type: 'string' },
+    approved_only: integer('1 when only approved translations are published'),
+    url_mode: string('How /view URLs carry the language', { enum: URL_MODES }),
+    include_selectors: string('JSON list of CSS selectors'),
+    exclude_selectors: string('JSON list of CSS selectors'),
+    resync_interval_minutes: { type: 'integer', nullable: true },
+    next_resync_at: { type: 'string', nullable: true },
+    verification_token: { type: 'string' },
+    verification_method: { type: 'string', nullable: true, enum: VERIFICATION_METHODS },
+    verified_at: { type: 'string', nullable: true },
+    created_at: { type: 'string' }
+  }),
+  WebsiteDetails: {
+    allOf: [ref('Website'), object({
+      page_count: { type: 'integer' },
+      segment_count: { type: 'integer' },
+      languages: arrayOf({ type: 'string' })
+    })]
+  },
+  Page: object({
+    id: { type: 'integer' },
+    path: { type: 'string' },
+    url: { type: 'string' },
+    title: { type: 'string', nullable: true },
+    text_count: { type: 'integer' },
+    depth: { type: 'integer' },
+    source: string('How the page was added', { enum: ['start', 'link', 'sitemap', 'fetch', 'manual'] }),
+    canonical_url: { type: 'string', nullable: true },
+    status_code: { type: 'integer', nullable: true },
+    crawled_at: { type: 'string' },
+    fetched_at: { type: 'string', nullable: true },
+    segment_count: { type: 'integer' }
+  }),
+  PageDetails: {
+    allOf: [ref('Page'), object({
+      segments: { type: 'object', description: 'Segment counts per sync status', additionalProperties: { type: 'integer' } },
+      translations: {
+        type: 'object',
+        description: 'Translation counts per language and status',
+        additionalProperties: { type: 'object', additionalProperties: { type: 'integer' } }
+      }
+    })]
+  },
+  TranslationRow: object({
+    segment_id: { type: 'integer' },
+    path: { type: 'string' },
+    element_type: { type: 'string' },
+    segment_type: { type: 'string' },
+    original_text: { type: 'string' },
+    language: { type: 'string', nullable: true },
+    translation_id: { type: 'integer', nullable: true },
+    translated_text: { type: 'string', nullable: true },
+    status: { type: 'string', enum: TRANSLATION_STATUSES },
+    review_status: { type: 'string', enum: REVIEW_STATUSES },
+    error: { type: 'string', nullable: true },
+    updated_by: { type: 'string', nullable: true },
+    updated_at: { type: 'string', nullable: true }
+  }),
+  QaIssue: object({
+    rule: { type: 'string', enum: QA_RULES },
+    severity: { type: 'string', enum: QA_SEVERITIES },
+    message: { type: 'string' },
+    details: { type: 'object', nullable: true, description: 'missing and extra items, or lengths for the length rule' },
+    created_at: { type: 'string' }
+  }),
+  QaTranslation: object({
+    segment_id: { type: 'integer' },
+    path: { type: 'string' },
+    element_type: { type: 'string' },
+    position: { type: 'string' },
+    original_text: { type: 'string' },
+    translation_id: { type: 'integer' },
+    language: { type: 'string' },
+    translated_text: { type: 'string' },
+    review_status: { type: 'string', enum: REVIEW_STATUSES },
+    updated_by: { type: 'string', nullable: true },
+    qa_checked_at: { type: 'string' },
+    issues: arrayOf(ref('QaIssue'))
+  }),
+  LengthLimits: object({
+    defaults: { type: 'object', additionalProperties: { type: 'number' } },
+    overrides: { type: 'object', additionalProperties: { type: 'number' } },
+    limits: { type: 'object', additionalProperties: { type: 'number' } }
+  }),
+  GlossaryTerm: object({
+    term: { type: 'string' },
+    language: string('Target language, or * for do-not-translate terms in every language'),
+    translation: { type: 'string', nullable: true },
+    doNotTranslate: { type: 'boolean' },
+    caseSensitive: { type: 'boolean', default: true },
+    notes: { type: 'string', nullable: true }
+  }, ['term']),
+  ApiKey: object({
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    key_prefix: { type: 'string' },
+    scopes: arrayOf({ type: 'string', enum: SCOPES }),
+    created_at: { type: 'string' },
+    last_used_at: { type: 'string', nullable: true },
+    revoked_at: { type: 'string', nullable: true }
+  }),
+  Verification: object({
+    domain: { type: 'string' },
+    verified: { type: 'boolean' },
+    method: { type: 'string', nullable: true, enum: VERIFICATION_METHODS },
+    verifiedAt: { type: 'string', nullable: true },
+    token: { type: 'string' },
+    metaTag: { type: 'string' },
+    metaUrl: { type: 'string' },
+    fileUrl: { type: 'string' }
+  })
+};
+
+const crawlOptions = {
+  maxPages: integer('Pages to visit', { default: 20, maximum: 1000 }),
+  maxDepth: integer('Links to follow from the start page', { default: 3, maximum: 10 }),
+  include: arrayOf(string('Path glob')),
+  exclude: arrayOf(string('Path glob')),
+  concurrency: integer('Parallel requests', { default: 2, maximum: 8 }),
+  useSitemaps: { type: 'boolean', default: true },
+  respectRobots: { type: 'boolean', default: true }
+};
+
+const paths = {
+  '/api/openapi.json': {
+    get: operation('Meta', 'This document', { public: true, responses: ok('OpenAPI document') })
+  },
+
+  '/api/accounts': {
+    post: operation('Accounts', 'Sign up (only with ALLOW_SIGNUP=true)', {
+      public: true,
+      body: object({ email: { type: 'string' }, name: { type: 'string' } }, ['email']),
+      responses: {
+        ...created('The account and its admin key, shown only once'),
+        400: errors[400],
+        403: { description: 'Sign-up is disabled', ...json(ref('Error')) },
+        409: errors[409]
+      }
+    })
+  },
+  '/api/account': {
+    get: operation('Accounts', 'The API key\'s user and scopes', { responses: ok('Account') })
+  },
+  '/api/account/api-keys': {
+    get: operation('Accounts', 'List API keys', {
+      scope: 'admin',
+      responses: ok('API keys', object({ apiKeys: arrayOf(ref('ApiKey')) }))
+    }),
+    post: operation('Accounts', 'Create an API key', {
+      scope: 'admin',
+      body: object({ name: { type: 'string' }, scopes: arrayOf({ type: 'string', enum: SCOPES }) }, ['name', 'scopes']),
+      responses: { ...created('The key, shown only once'), 400: errors[400] }
+    })
+  },
+  '/api/account/api-keys/{keyId}': {
+    delete: operation('Accounts', 'Revoke an API key', {
+      scope: 'admin',
+      parameters: [pathParam('keyId', 'API key ID')],
+      responses: ok('Revoked')
+    })
+  },
+
+  '/api/websites': {
+    get: operation('Websites', 'List your websites', { responses: ok('Websites', arrayOf(ref('Website'))) }),
+    post: operation('Websites', 'Register a website without fetching it', {
+      scope: 'translate',
+      body: object({ domain: { type: 'string' }, sourceLanguage: { type: 'string', default: 'en' } }, ['domain']),
+      responses: { ...created('The website', ref('WebsiteDetails')), 400: errors[400], 409: errors[409] }
+    })
+  },
+  '/api/websites/{websiteId}': {
+    get: operation('Websites', 'A website with page and segment counts', {
+      parameters: [params.websiteId],
+      responses: ok('Website', ref('WebsiteDetails'))
+    }),
+    patch: operation('Websites', 'Rename or re-point a website', {
+      scope: 'admin',
+      description: 'A new domain has to be verified again before the website is published.',
+      parameters: [params.websiteId],
+      body: object({ domain: { type: 'string' }, sourceLanguage: { type: 'string' } }),
+      responses: { ...ok('Website', ref('WebsiteDetails')), 400: errors[400], 409: errors[409] }
+    }),
+    delete: operation('Websites', 'Delete a website and everything stored for it', {
+      scope: 'admin',
+      parameters: [params.websiteId],
+      responses: { ...ok('Deleted'), 409: { description: 'The website has running jobs', ...json(ref('Error')) } }
+    })
+  },
+  '/api/websites/{websiteId}/verification': {
+    get: operation('Websites', 'Domain verification status and instructions', {
+      parameters: [params.websiteId],
+      responses: ok('Verification', ref('Verification'))
+    }),
+    post: operation('Websites', 'Verify domain ownership', {
+      scope: 'admin',
+      parameters: [params.websiteId],
+      body: object({ method: { type: 'string', enum: VERIFICATION_METHODS, default: 'meta' } }),
+      responses: {
+        ...ok('Verified', ref('Verification')),
+        400: errors[400],
+        422: { description: 'The token was not found', ...json(ref('Error')) }
+      }
+    })
+  },
+
+  '/api/websites/{websiteId}/pages': {
+    get: operation('Pages', 'List pages', {
+      parameters: [
+        params.websiteId,
+        query('path', 'Path prefix'),
+        query('source', 'How pages were added', { type: 'string', enum: ['start', 'link', 'sitemap', 'fetch', 'manual'] }),
+        params.page,
+        params.perPage
+      ],
+      responses: {
+        ...ok('Pages', object({
+          pages: arrayOf(ref('Page')),
+          total: integer('Matching pages'),
+          pagination: ref('Pagination')
+        })),
+        400: errors[400]
+      }
+    }),
+    post: operation('Pages', 'Add a page', {
+      scope: 'translate',
+      parameters: [params.websiteId],
+      body: object({ path: { type: 'string' }, fetch: boolean('Fetch the page right away') }, ['path']),
+      responses: { ...created('The page, with jobId when fetched', ref('PageDetails')), 400: errors[400], 409: errors[409] }
+    })
+  },
+  '/api/websites/{websiteId}/pages/{pageId}': {
+    get: operation('Pages', 'A page with segment and translation counts', {
+      parameters: [params.websiteId, params.pageId],
+      responses: ok('Page', ref('PageDetails'))
+    }),
+    patch: operation('Pages', 'Move a page, with its segments and slugs, to another path', {
+      scope: 'translate',
+      parameters: [params.websiteId, params.pageId],
+      body: object({ path: { type: 'string' } }, ['path']),
+      responses: { ...ok('Page', ref('PageDetails')), 400: errors[400], 409: errors[409] }
+    }),
+    delete: operation('Pages', 'Delete a page with its segments, translations and slugs', {
+      scope: 'translate',
+      parameters: [params.websiteId, params.pageId],
+      responses: ok('Deleted')
+    })
+  },
+
+  '/api/map-website': {
+    post: operation('Jobs', 'Crawl a website to list its pages', {
+      scope: 'translate',
+      body: object({ url: { type: 'string' }, ...crawlOptions }, ['url']),
+      responses: { ...accepted('Crawl started'), 400: errors[400] }
+    })
+  },
+  '/api/fetch-website': {
+    post: operation('Jobs', 'Fetch pages and store their segments', {
+      scope: 'translate',
+      description: 'Without selectedPages, every page found by the last crawl is fetched.',
+      body: object({ url: { type: 'string' }, selectedPages: arrayOf({ type: 'string' }) }, ['url']),
+      responses: { ...accepted('Fetch started'), 400: errors[400] }
+    })
+  },
+  '/api/translate-website': {
+    post: operation('Jobs', 'Translate stored segments', {
+      scope: 'translate',
+      body: object({ websiteId: { type: 'integer' }, targetLanguages: arrayOf({ type: 'string' }) }, ['websiteId', 'targetLanguages']),
+      responses: { ...accepted('Translation started'), 400: errors[400], 404: errors[404] }
+    })
+  },
+  '/api/translate-website/retry-failed': {
+    post: operation('Jobs', 'Retry failed translations', {
+      scope: 'translate',
+      body: object({ websiteId: { type: 'integer' }, language: { type: 'string' } }, ['websiteId', 'language']),
+      responses: { ...accepted('Retry started'), ...ok('Nothing to retry'), 400: errors[400], 404: errors[404] }
+    })
+  },
+  '/api/websites/{websiteId}/resync': {
+    post: operation('Jobs', 'Fetch pages again and diff their segments', {
+      scope: 'translate',
+      parameters: [params.websiteId],
+      body: object({ pages: arrayOf({ type: 'string' }), translate: { type: 'boolean', default: true }, url: { type: 'string' } }),
+      responses: { ...accepted('Re-sync started'), 400: errors[400] }
+    })
+  },
+  '/api/websites/{websiteId}/sync-runs': {
+    get: operation('Jobs', 'Recent re-sync reports', {
+      parameters: [params.websiteId, query('limit', 'Runs to list', { type: 'integer', default: 20, maximum: 200 })],
+      responses: ok('Sync runs')
+    })
+  },
+  '/api/websites/{websiteId}/sync-runs/{runId}': {
+    get: operation('Jobs', 'One re-sync report with per-page changes', {
+      parameters: [params.websiteId, pathParam('runId', 'Sync run ID')],
+      responses: ok('Sync run')
+    })
+  },
+  '/api/websites/{websiteId}/resync-schedule': {
+    get: operation('Jobs', 'Scheduled re-sync interval', { parameters: [params.websiteId], responses: ok('Schedule') }),
+    put: operation('Jobs', 'Set the scheduled re-sync interval', {
+      scope: 'admin',
+      parameters: [params.websiteId],
+      body: object({ intervalMinutes: { type: 'integer', nullable: true, minimum: 5 } }),
+      responses: { ...ok('Schedule'), 400: errors[400] }
+    })
+  },
+  '/api/jobs': {
+    get: operation('Jobs', 'Recent jobs of your websites', {
+      parameters: [
+        query('websiteId', 'Website ID', { type: 'integer', minimum: 1 }),
+        query('status', 'Job status', { type: 'string', enum: JOB_STATUSES }),
+        query('limit', 'Jobs to list', { type: 'integer', default: 50, maximum: 500 })
+      ],
+      responses: { ...ok('Jobs', arrayOf(ref('Job'))), 400: errors[400] }
+    })
+  },
+  '/api/jobs/{jobId}': {
+    get: operation('Jobs', 'Job status, progress and errors', { parameters: [params.jobId], responses: ok('Job', ref('Job')) })
+  },
+  '/api/jobs/{jobId}/events': {
+    get: operation('Jobs', 'Job updates as server-sent events', {
+      parameters: [params.jobId],
+      responses: { 200: { description: '`progress` events, then `done`', content: { 'text/event-stream': {} } } }
+    })
+  },
+  '/api/jobs/{jobId}/cancel': {
+    post: operation('Jobs', 'Cancel a job', { scope: 'translate', parameters: [params.jobId], responses: ok('Job', ref('Job')) })
+  },
+
+  '/api/websites/{websiteId}/translations': {
+    get: operation('Translations', 'Search and page through translations', {
+      parameters: [
+        params.websiteId,
+        query('language', 'Target language; untranslated segments are listed as pending'),
+        query('path', 'Page path'),
+        query('elementType', 'Element type, such as p or title'),
+        query('status', 'Translation status or review status', { type: 'string', enum: [...TRANSLATION_STATUSES, ...REVIEW_STATUSES] }),
+        query('q', 'Words to find, as prefixes, in the source and/or translated text'),
+        query('searchIn', 'Text searched by q', { type: 'string', enum: ['all', 'source', 'target'], default: 'all' }),
+        params.page,
+        params.perPage
+      ],
+      responses: {
+        ...ok('Translations', object({ translations: arrayOf(ref('TranslationRow')), pagination: ref('Pagination') })),
+        400: errors[400]
+      }
+    })
+  },
+  '/api/translations/{websiteId}': {
+    get: {
+      ...operation('Translations', 'Every segment with its translations (unpaginated)', {
+        parameters: [params.websiteId],
+        responses: ok('Segments')
+      }),
+      deprecated: true
+    }
+  },
+  '/api/get-translation': {
+    get: operation('Translations', 'Translations of one page', {
+      parameters: [
+        query('domain', 'Website domain', { type: 'string' }, true),
+        query('path', 'Page path', { type: 'string' }, true),
+        query('language', 'Target language', { type: 'string' }, true)
+      ],
+      responses: { ...ok('Translations'), 404: errors[404] }
+    })
+  },
+  '/api/segments/{segmentId}/translations/{language}': {
+    get: operation('Review', 'A translation with its QA issues and edit history', {
+      parameters: [params.segmentId, params.language],
+      responses: ok('Translation')
+    }),
+    put: operation('Review', 'Edit a translation', {
+      scope: 'translate',
+      parameters: [params.segmentId, params.language],
+      body: object({ translatedText: { type: 'string' } }, ['translatedText']),
+      responses: { ...ok('Translation'), 400: errors[400] }
+    })
+  },
+  '/api/segments/{segmentId}/translations/{language}/review-status': {
+    put: operation('Review', 'Change a translation\'s review status', {
+      scope: 'translate',
+      parameters: [params.segmentId, params.language],
+      body: object({ reviewStatus: { type: 'string', enum: REVIEW_STATUSES } }, ['reviewStatus']),
+      responses: { ...ok('Translation'), 400: errors[400] }
+    })
+  },
+  '/api/websites/{websiteId}/translations/approve': {
+    post: operation('Review', 'Approve translations in bulk', {
+      scope: 'translate',
+      parameters: [params.websiteId],
+      body: object({ language: { type: 'string' }, segmentIds: arrayOf({ type: 'integer' }) }, ['language']),
+      responses: { ...ok('Approved count'), 400: errors[400] }
+    })
+  },
+  '/api/websites/{websiteId}/publishing': {
+    put: operation('Review', 'Publishing settings', {
+      scope: 'admin',
+      parameters: [params.websiteId],
+      body: object({ approvedOnly: { type: 'boolean' }, urlMode: { type: 'string', enum: URL_MODES } }),
+      responses: { ...ok('Settings'), 400: errors[400] }
+    })
+  },
+  '/api/websites/{websiteId}/export': {
+    get: operation('Export and import', 'Export translations for one language', {
+      parameters: [
+        params.websiteId,
+        query('language', 'Target language', { type: 'string' }, true),
+        query('format', 'File format', { type: 'string', enum: FORMAT_NAMES, default: 'xliff12' }),
+        query('path', 'Page path'),
+        query('status', 'Translation status or review status')
+      ],
+      responses: { 200: { description: 'The file, as an attachment' }, 400: errors[400] }
+    })
+  },
+  '/api/websites/{websiteId}/import': {
+    post: {
+      ...operation('Export and import', 'Import a translated file', {
+        scope: 'translate',
+        parameters: [
+          params.websiteId,
+          query('format', 'File format', { type: 'string', enum: FORMAT_NAMES }, true),
+          query('language', 'Target language, if the file doesn\'t name it'),
+          query('overwrite', 'Replace human-edited translations', { type: 'boolean' }),
+          query('dryRun', 'Validate without saving', { type: 'boolean' })
+        ],
+        responses: { ...ok('Import report'), 400: errors[400] }
+      }),
+      requestBody: { required: true, content: { 'text/plain': { schema: { type: 'string' } } } }
+    }
+  },
+
+  '/api/memory': {
+    get: operation('Translation memory', 'Exact and fuzzy matches from your memory', {
+      parameters: [
+        query('text', 'Source text', { type: 'string' }, true),
+        query('source', 'Source language', { type: 'string', default: 'en' }),
+        query('target', 'Target language', { type: 'string' }, true),
+        query('threshold', 'Minimum similarity', { type: 'number', maximum: 1 }),
+        query('limit', 'Fuzzy matches to list', { type: 'integer', default: 5, maximum: 50 })
+      ],
+      responses: { ...ok('Matches'), 400: errors[400] }
+    })
+  },
+  '/api/memory/{entryId}': {
+    get: operation('Translation memory', 'A memory entry', { parameters: [pathParam('entryId', 'Entry ID')], responses: ok('Entry') }),
+    delete: operation('Translation memory', 'Delete a memory entry', {
+      scope: 'admin',
+      parameters: [pathParam('entryId', 'Entry ID')],
+      responses: ok('Deleted')
+    })
+  },
+
+  '/api/websites/{websiteId}/glossary': {
+    get: operation('Glossary', 'List glossary terms', {
+      parameters: [params.websiteId, query('language', 'Target language')],
+      responses: ok('Terms', arrayOf(ref('GlossaryTerm')))
+    }),
+    post: operation('Glossary', 'Add a term', {
+      scope: 'translate',
+      parameters: [params.websiteId],
+      body: ref('GlossaryTerm'),
+      responses: { ...created('Term', ref('GlossaryTerm')), 400: errors[400], 409: errors[409] }
+    })
+  },
+  '/api/websites/{websiteId}/glossary/violations': {
+    get: operation('Glossary', 'Translations breaking a glossary rule', {
+      parameters: [params.websiteId, query('language', 'Target language', { type: 'string' }, true)],
+      responses: { ...ok('Violations'), 400: errors[400] }
+    })
+  },
+  '/api/websites/{websiteId}/glossary/{termId}': {
+    get: operation('Glossary', 'A glossary term', {
+      parameters: [params.websiteId, pathParam('termId', 'Term ID')],
+      responses: ok('Term', ref('GlossaryTerm'))
+    }),
+    put: operation('Glossary', 'Replace a glossary term', {
+      scope: 'translate',
+      parameters: [params.websiteId, pathParam('termId', 'Term ID')],
+      body: ref('GlossaryTerm'),
+      responses: { ...ok('Term', ref('GlossaryTerm')), 400: errors[400], 409: errors[409] }
+    }),
+    delete: operation('Glossary', 'Delete a glossary term', {
+      scope: 'translate',
+      parameters: [params.websiteId, pathParam('termId', 'Term ID')],
+      responses: ok('Deleted')
+    })
+  },
+
+  '/api/websites/{websiteId}/qa': {
+    get: operation('Quality checks', 'Translations with QA issues, with counts per rule', {
+      parameters: [
+        params.websiteId,
+        query('rule', 'Only translations with an issue from this rule', { type: 'string', enum: QA_RULES }),
+        query('severity', 'Only translations with an issue of this severity', { type: 'string', enum: QA_SEVERITIES }),
+        query('language', 'Target language'),
+        query('path', 'Page path'),
+        params.page,
+        params.perPage
+      ],
+      responses: {
+        ...ok('QA report', object({
+          rules: {
+            type: 'object',
+            description: 'Issue counts per rule and severity',
+            additionalProperties: { type: 'object', additionalProperties: { type: 'integer' } }
+          },
+          translations: arrayOf(ref('QaTranslation')),
+          pagination: ref('Pagination')
+        })),
+        400: errors[400]
+      }
+    })
+  },
+  '/api/websites/{websiteId}/qa/check': {
+    post: operation('Quality checks', 'Check stored translations again', {
+      scope: 'translate',
+      parameters: [params.websiteId],
+      body: object({ language: { type: 'string' } }),
+      responses: ok('Counts', object({ checked: { type: 'integer' }, withIssues: { type: 'integer' } }))
+    })
+  },
+  '/api/websites/{websiteId}/qa/length-limits': {
+    get: operation('Quality checks', 'Length limits per element type', {
+      parameters: [params.websiteId],
+      responses: ok('Limits', ref('LengthLimits'))
+    }),
+    put: operation('Quality checks', 'Replace the website\'s length limit overrides', {
+      scope: 'admin',
+      parameters: [params.websiteId],
+      body: object({
+        limits: { type: 'object', description: 'Ratio of translation to source length per element type, 1 to 10; * for any other', additionalProperties: { type: 'number' } }
+      }, ['limits']),
+      responses: { ...ok('Limits', ref('LengthLimits')), 400: errors[400] }
+    })
+  },
+
+  '/api/providers': {
+    get: operation('Settings', 'Available translation providers', { responses: ok('Providers') })
+  },
+  '/api/websites/{websiteId}/providers': {
+    get: operation('Settings', 'Provider order per language', { parameters: [params.websiteId], responses: ok('Settings') }),
+    put: operation('Settings', 'Set the provider order for a language (or all)', {
+      scope: 'admin',
+      parameters: [params.websiteId],
+      body: object({ language: { type: 'string' }, providers: arrayOf({ type: 'string' }) }, ['providers']),
+      responses: { ...ok('Settings'), 400: errors[400] }
+    })
+  },
+  '/api/websites/{websiteId}/providers/{language}': {
+    delete: operation('Settings', 'Remove a language\'s provider order', {
+      scope: 'admin',
+      parameters: [params.websiteId, params.language],
+      responses: ok('Settings')
+    })
+  },
+  '/api/websites/{websiteId}/selectors': {
+    get: operation('Settings', 'Include and exclude selectors', { parameters: [params.websiteId], responses: ok('Selectors') }),
+    put: operation('Settings', 'Set include and exclude selectors', {
+      scope: 'admin',
+      parameters: [params.websiteId],
+      body: object({ include: arrayOf({ type: 'string' }), exclude: arrayOf({ type: 'string' }) }),
+      responses: { ...ok('Selectors'), 400: errors[400] }
+    })
+  },
+  '/api/websites/{websiteId}/slugs': {
+    get: operation('Slugs', 'Translated slugs', {
+      parameters: [params.websiteId, query('language', 'Target language')],
+      responses: ok('Slugs')
+    }),
+    put: operation('Slugs', 'Set a page\'s slug', {
+      scope: 'translate',
+      parameters: [params.websiteId],
+      body: object({ path: { type: 'string' }, language: { type: 'string' }, slug: { type: 'string' } }, ['path', 'language', 'slug']),
+      responses: { ...ok('Slug'), 400: errors[400], 409: errors[409] }
+    }),
+    delete: operation('Slugs', 'Remove a page\'s slug', {
+      scope: 'translate',
+      parameters: [
+        params.websiteId,
+        query('path', 'Page path', { type: 'string' }, true),
+        query('language', 'Target language', { type: 'string' }, true)
+      ],
+      responses: { ...ok('Removed'), 400: errors[400] }
+    })
+  },
+  '/api/websites/{websiteId}/slugs/generate': {
+    post: operation('Slugs', 'Generate slugs from translated titles', {
+      scope: 'translate',
+      parameters: [params.websiteId],
+      body: object({ language: { type: 'string' }, overwrite: { type: 'boolean', default: false } }, ['language']),
+      responses: { ...ok('Generated slugs'), 400: errors[400] }
+    })
+  },
+
+  '/api/cache': {
+    get: operation('Cache', 'Page cache statistics', { scope: 'admin', responses: ok('Statistics') }),
+    delete: operation('Cache', 'Purge cached pages of your websites', { scope: 'admin', responses: ok('Purged counts') })
+  },
+  '/api/websites/{websiteId}/cache': {
+    delete: operation('Cache', 'Purge a website\'s cached pages', {
+      scope: 'admin',
+      parameters: [params.websiteId, query('path', 'Page path'), query('language', 'Target language')],
+      responses: ok('Purged counts')
+    })
+  },
+
+  '/api/client/translations': {
+    get: operation('Embedding', 'Published translations of a page, for client/translate.js', {
+      public: true,
+      parameters: [
+        query('domain', 'Verified website domain', { type: 'string' }, true),
+        query('path', 'Page path'),
+        query('language', 'Target language')
+      ],
+      responses: { ...ok('Languages, rules and translations keyed by source text'), 404: errors[404] }
+    })
+  },
+  '/api/client/translations/lookup': {
+    post: operation('Embedding', 'Published translations of texts added at runtime', {
+      public: true,
+      body: object({ domain: { type: 'string' }, language: { type: 'string' }, texts: arrayOf({ type: 'string' }) }, ['domain', 'language', 'texts']),
+      responses: { ...ok('Translations keyed by source text'), 400: errors[400], 404: errors[404] }
+    })
+  },
+
+  '/view/{domain}/{path}': {
+    get: operation('Viewing', 'A translated page', {
+      public: true,
+      description: 'Websites using language prefixes take the language as the first path segment instead of ?lang.',
+      parameters: [params.domain, pathParam('path', 'Page path'), query('lang', 'Target language')],
+      responses: {
+        200: { description: 'The translated page', content: { 'text/html': {} } },
+        301: { description: 'Redirect from a replaced slug' },
+        304: { description: 'Not modified' },
+        404: { description: 'Unknown or unverified website, or missing page', content: { 'text/html': {} } }
+      }
+    }),
+    post: operation('Viewing', 'Forward a form submission and translate the response', {
+      public: true,
+      parameters: [params.domain, pathParam('path', 'Page path'), query('lang', 'Target language')],
+      responses: { 200: { description: 'The translated response', content: { 'text/html': {} } } }
+    })
+  },
+  '/view/{domain}/sitemap.xml': {
+    get: operation('Viewing', 'Sitemap index with one sitemap per language', {
+      public: true,
+      parameters: [params.domain],
+      responses: { 200: { description: 'Sitemap index', content: { 'application/xml': {} } } }
+    })
+  },
+  '/view/{domain}/sitemaps/{language}.xml': {
+    get: operation('Viewing', 'Sitemap of one language', {
+      public: true,
+      parameters: [params.domain, params.language],
+      responses: { 200: { description: 'Sitemap', content: { 'application/xml': {} } } }
+    })
+  },
+  '/assets/{domain}/{path}': {
+    get: operation('Viewing', 'A proxied stylesheet or font (PROXY_ASSETS)', {
+      public: true,
+      parameters: [params.domain, pathParam('path', 'Asset path')],
+      responses: { 200: { description: 'The asset' }, 415: { description: 'Not a stylesheet or font' } }
+    })
+  }
+};
+
+const document = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Website Translator API',
+    version: '1.0.0',
+    description: `Operations need an API key unless marked public. x-scope names the scope a key needs: ${SCOPES.join(' > ')}, each including the ones after it.`
+  },
+  servers: [{ url: '/' }],
+  security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer' },
+      apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+    },
+    schemas
+  },
+  paths
+};
+
+module.exports = document;
@@ -0,0 +1,156 @@
+const db = require('./db');
+
+// The pages of a website, stored in crawled_pages whether a crawl found them, they were
+// fetched directly or added by hand (see migration 018). A page's segments, slugs and
+// redirects are tied to it by path, so moving or deleting a page takes them along.
+
+const PAGE_COLUMNS = `
+  p.id, p.path, p.url, p.title, p.text_count, p.depth, p.source, p.canonical_url,
+  p.status_code, p.job_id, p.crawled_at, p.fetched_at,
+  (SELECT COUNT(*) FROM segments s
+    WHERE s.website_id = p.website_id AND s.path = p.path AND s.sync_status <> 'removed') AS segment_count
+`;
+
+const findPages = db.prepare(`
+  SELECT ${PAGE_COLUMNS}
+  FROM crawled_pages p
+  WHERE p.website_id = @websiteId
+  AND (@path IS NULL OR p.path LIKE @path ESCAPE '\\')
+  AND (@source IS NULL OR p.source = @source)
+  ORDER BY p.path
+  LIMIT @limit OFFSET @offset
+`);
+
+const countPages = db.prepare(`
+  SELECT COUNT(*) AS count FROM crawled_pages p
+  WHERE p.website_id = @websiteId
+  AND (@path IS NULL OR p.path LIKE @path ESCAPE '\\')
+  AND (@source IS NULL OR p.source = @source)
+`);
+
+const findPageById = db.prepare(`
+  SELECT ${PAGE_COLUMNS} FROM crawled_pages p WHERE p.website_id = ? AND p.id = ?
+`);
+
+const findPageByPath = db.prepare('SELECT id FROM crawled_pages WHERE website_id = ? AND path = ?');
+
+const countSegmentsBySyncStatus = db.prepare(`
+  SELECT sync_status, COUNT(*) AS count FROM segments
+  WHERE website_id = ? AND path = ?
+  GROUP BY sync_status
+`);
+
+const countTranslationsByLanguage = db.prepare(`
+  SELECT t.language, t.status, COUNT(*) AS count
+  FROM translations t
+  JOIN segments s ON t.segment_id = s.id
+  WHERE s.website_id = ? AND s.path = ? AND s.sync_status <> 'removed'
+  GROUP BY t.language, t.status
+  ORDER BY t.language
+`);
+
+const insertPage = db.prepare(`
+  INSERT INTO crawled_pages (website_id, path, url, source, crawled_at)
+  VALUES (@websiteId, @path, @url, 'manual', datetime('now'))
+`);
+
+// Pages found by a crawl keep their source; fetching only records when and how it went
+const upsertFetchedPage = db.prepare(`
+  INSERT INTO crawled_pages (website_id, path, url, source, status_code, fetched_at, crawled_at)
+  VALUES (@websiteId, @path, @url, 'fetch', @statusCode, datetime('now'), datetime('now'))
+  ON CONFLICT (website_id, path) DO UPDATE SET
+    status_code = excluded.status_code,
+    fetched_at = excluded.fetched_at
+`);
+
+const updatePagePath = db.prepare(`
+  UPDATE crawled_pages SET path = @newPath, url = @url, canonical_url = NULL
+  WHERE website_id = @websiteId AND id = @id
+`);
+
+const movePageRows = ['segments', 'page_slugs', 'slug_redirects'].map(table => db.prepare(`
+  UPDATE ${table} SET path = @newPath WHERE website_id = @websiteId AND path = @path
+`));
+
+const deletePageRows = ['segments', 'page_slugs', 'slug_redirects'].map(table => db.prepare(`
+  DELETE FROM ${table} WHERE website_id = ? AND path = ?
+`));
+
+const deletePageById = db.prepare('DELETE FROM crawled_pages WHERE website_id = ? AND id = ?');
+
+// "about" -> "about%", with LIKE wildcards in the prefix escaped
+function pathPrefixPattern(prefix) {
+  return prefix ? `${prefix.replace(/[\\%_]/g, '\\$&')}%` : null;
+}
+
+// Pages of a website, optionally those whose path starts with `path` or from one
+// `source`. Returns { pages, total }.
+function listPages(websiteId, { path = null, source = null, limit, offset }) {
+  const filters = { websiteId, path: pathPrefixPattern(path), source };
+  return {
+    pages: findPages.all({ ...filters, limit, offset }),
+    total: countPages.get(filters).count
+  };
+}
+
+// A page with its segment counts per sync status and translation counts per language
+function getPage(websiteId, pageId) {
+  const page = findPageById.get(websiteId, pageId);
+  if (!page) return null;
+
+  const segments = {};
+  countSegmentsBySyncStatus.all(websiteId, page.path).forEach(row => {
+    segments[row.sync_status] = row.count;
+  });
+
+  const translations = {};
+  countTranslationsByLanguage.all(websiteId, page.path).forEach(row => {
+    translations[row.language] = { ...translations[row.language], [row.status]: row.count };
+  });
+
+  return { ...page, segments, translations };
+}
+
+// Returns the new page, or null if the path is already a page
+function createPage(websiteId, { path, url }) {
+  if (findPageByPath.get(websiteId, path)) return null;
+  const result = insertPage.run({ websiteId, path, url });
+  return getPage(websiteId, result.lastInsertRowid);
+}
+
+function recordFetchedPage(websiteId, { path, url, statusCode }) {
+  upsertFetchedPage.run({ websiteId, path, url, statusCode });
+}
+
+// Move a page, with its segments, translations and slugs, to another path. Returns
+// 'not-found', 'conflict' (a page already has that path) or the moved page.
+const movePage = db.transaction((websiteId, pageId, { path: newPath, url }) => {
+  const page = findPageById.get(websiteId, pageId);
+  if (!page) return 'not-found';
+  if (page.path === newPath) return getPage(websiteId, pageId);
+  if (findPageByPath.get(websiteId, newPath)) return 'conflict';
+
+  movePageRows.forEach(statement => statement.run({ websiteId, path: page.path, newPath }));
+  updatePagePath.run({ websiteId, id: pageId, newPath, url });
+  return getPage(websiteId, pageId);
+});
+
+// Delete a page and its segments (with their translations and history), slugs and
+// redirects. Returns the deleted page's path, or null if there is no such page.
+const deletePage = db.transaction((websiteId, pageId) => {
+  const page = findPageById.get(websiteId, pageId);
+  if (!page) return null;
+
+  deletePageRows.forEach(statement => statement.run(websiteId, page.path));
+  deletePageById.run(websiteId, pageId);
+  return page.path;
+});
+
+module.exports = {
+  listPages,
+  getPage,
+  createPage,
+  recordFetchedPage,
+  movePage,
+  deletePage
+};
@@ -0,0 +1,23 @@
+const axios = require('axios');
+const axiosRetry = require('axios-retry').default;
+
+// Shared HTTP client for provider adapters. Provider calls are POSTs, which
+// axios-retry does not retry by default, so rate limits, server errors and
+// network failures are retried explicitly with exponential backoff.
+const client = axios.create({
+  timeout: Number(process.env.TRANSLATION_TIMEOUT) || 30000
+});
+
+axiosRetry(client, {
+  retries: Number(process.env.TRANSLATION_RETRIES ?? 3),
+  retryDelay: axiosRetry.exponentialDelay,
+  retryCondition: (error) => {
+    const status = error.response?.status;
+    return axiosRetry.isNetworkError(error) || status === 429 || status >= 500;
+  },
+  onRetry: (retryCount, error, requestConfig) => {
+    console.log(`Retrying ${requestConfig.url} (attempt ${retryCount}):`, error.message);
+  }
+});
+
+module.exports = client;
@@ -0,0 +1,28 @@
+const { v2 } = require('@google-cloud/translate');
+
+// Credentials come from GOOGLE_APPLICATION_CREDENTIALS or an explicit API key
+function createGoogleProvider({
+  projectId = process.env.GOOGLE_PROJECT_ID,
+  key = process.env.GOOGLE_TRANSLATE_API_KEY
+} = {}) {
+  let client;
+
+  return {
+    name: 'google',
+
+    async translate(texts, { source, target, format }) {
+      if (!client) {
+        client = new v2.Translate({ projectId, key });
+      }
+
+      const [translations] = await client.translate(texts, {
+        ...(source && source !== 'auto' && { from: source }),
+        to: target,
+        format: format || 'text'
+      });
+      return Array.isArray(translations) ? translations : [translations];
+    }
+  };
+}
+
+module.exports = { createGoogleProvider };
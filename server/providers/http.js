@@ -0,0 +1,33 @@
+const client = require('./client');
+
+// Generic adapter for DeepL-style HTTP APIs:
+// request  { text: [...], source_lang, target_lang }
+// response { translations: [{ text }] }
+function createHttpProvider({
+  apiUrl = process.env.HTTP_TRANSLATE_API,
+  apiKey = process.env.HTTP_TRANSLATE_API_KEY,
+  authScheme = process.env.HTTP_TRANSLATE_AUTH_SCHEME || 'DeepL-Auth-Key'
+} = {}) {
+  return {
+    name: 'http',
+
+    async translate(texts, { source, target, format }) {
+      if (!apiUrl) {
+        throw new Error('HTTP_TRANSLATE_API is not configured');
+      }
+
+      const response = await client.post(apiUrl, {
+        text: texts,
+        ...(source && source !== 'auto' && { source_lang: source.toUpperCase() }),
+        target_lang: target.toUpperCase(),
+        ...(format === 'html' && { tag_handling: 'html' })
+      }, {
+        headers: apiKey ? { Authorization: `${authScheme} ${apiKey}` } : {}
+      });
+
+      return response.data.translations.map(translation => translation.text);
+    }
+  };
+}
+
+module.exports = { createHttpProvider };
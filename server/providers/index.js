@@ -0,0 +1,59 @@
+const { createLibreTranslateProvider } = require('./libretranslate');
+const { createGoogleProvider } = require('./google');
+const { createHttpProvider } = require('./http');
+const { createMockProvider } = require('./mock');
+
+const providers = {
+  libretranslate: createLibreTranslateProvider(),
+  google: createGoogleProvider(),
+  http: createHttpProvider(),
+  mock: createMockProvider()
+};
+
+// Used when neither the website nor the language has its own provider order
+const DEFAULT_PROVIDERS = (process.env.TRANSLATION_PROVIDERS || 'libretranslate')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+function getProviderNames() {
+  return Object.keys(providers);
+}
+
+function isKnownProvider(name) {
+  return Object.prototype.hasOwnProperty.call(providers, name);
+}
+
+// Translate a list of texts, trying each provider in order until one succeeds.
+// `format` is 'text' or 'html'; with 'html' providers keep markup intact.
+async function translate(texts, { source, target, format = 'text', providerNames = DEFAULT_PROVIDERS }) {
+  const errors = [];
+
+  for (const name of providerNames) {
+    const provider = providers[name];
+    if (!provider) {
+      errors.push(`${name}: unknown provider`);
+      continue;
+    }
+
+    try {
+      const translations = await provider.translate(texts, { source, target, format });
+      if (translations.length !== texts.length) {
+        throw new Error(`expected ${texts.length} translations, got ${translations.length}`);
+      }
+      return { translations, provider: name };
+    } catch (error) {
+      console.error(`Provider ${name} failed:`, error.message);
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All translation providers failed (${errors.join('; ')})`);
+}
+
+module.exports = {
+  DEFAULT_PROVIDERS,
+  getProviderNames,
+  isKnownProvider,
+  translate
+};
@@ -0,0 +1,26 @@
+const client = require('./client');
+
+// LibreTranslate accepts either a single string or an array of strings in `q`
+function createLibreTranslateProvider({
+  apiUrl = process.env.LIBRE_TRANSLATE_API || 'http://localhost:5050',
+  apiKey = process.env.LIBRE_TRANSLATE_API_KEY
+} = {}) {
+  return {
+    name: 'libretranslate',
+
+    async translate(texts, { source, target, format }) {
+      const response = await client.post(`${apiUrl}/translate`, {
+        q: texts,
+        source: source || 'auto',
+        target,
+        format: format || 'text',
+        ...(apiKey && { api_key: apiKey })
+      });
+
+      const { translatedText } = response.data;
+      return Array.isArray(translatedText) ? translatedText : [translatedText];
+    }
+  };
+}
+
+module.exports = { createLibreTranslateProvider };
@@ -0,0 +1,13 @@
+// Deterministic offline provider for tests and local development.
+// "Hello" translated to French always becomes "[fr] Hello".
+function createMockProvider() {
+  return {
+    name: 'mock',
+
+    async translate(texts, { target }) {
+      return texts.map(text => `[${target}] ${text}`);
+    }
+  };
+}
+
+module.exports = { createMockProvider };
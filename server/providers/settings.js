@@ -0,0 +1,61 @@
+const db = require('../db');
+const { DEFAULT_PROVIDERS } = require('./index');
+
+const WEBSITE_DEFAULT = '*';
+
+const findProviderSettings = db.prepare(`
+  SELECT language, providers, updated_at
+  FROM provider_settings
+  WHERE website_id = ?
+  ORDER BY language
+`);
+
+const findProviderOrder = db.prepare(`
+  SELECT providers
+  FROM provider_settings
+  WHERE website_id = ? AND language IN (?, '${WEBSITE_DEFAULT}')
+  ORDER BY language = '${WEBSITE_DEFAULT}'
+  LIMIT 1
+`);
+
+const upsertProviderSettings = db.prepare(`
+  INSERT INTO provider_settings (website_id, language, providers, updated_at)
+  VALUES (?, ?, ?, datetime('now'))
+  ON CONFLICT (website_id, language) DO UPDATE SET
+    providers = excluded.providers,
+    updated_at = excluded.updated_at
+`);
+
+const deleteProviderSettings = db.prepare(`
+  DELETE FROM provider_settings WHERE website_id = ? AND language = ?
+`);
+
+// Provider order for a website and language: language override, then website default,
+// then the server-wide TRANSLATION_PROVIDERS
+function resolveProviders(websiteId, language) {
+  const row = findProviderOrder.get(websiteId, language);
+  return row ? row.providers.split(',') : DEFAULT_PROVIDERS;
+}
+
+function listProviderSettings(websiteId) {
+  return findProviderSettings.all(websiteId).map(row => ({
+    ...row,
+    providers: row.providers.split(',')
+  }));
+}
+
+function saveProviderSettings(websiteId, language, providerNames) {
+  upsertProviderSettings.run(websiteId, language || WEBSITE_DEFAULT, providerNames.join(','));
+}
+
+function removeProviderSettings(websiteId, language) {
+  return deleteProviderSettings.run(websiteId, language).changes > 0;
+}
+
+module.exports = {
+  WEBSITE_DEFAULT,
+  resolveProviders,
+  listProviderSettings,
+  saveProviderSettings,
+  removeProviderSettings
+};
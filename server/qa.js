@@ -0,0 +1,390 @@
+const db = require('./db');
+const { PLACEHOLDER_PATTERN, decodeSegmentText } = require('./segmenter');
+
+// Quality checks on translated text, run whenever a translation is stored: by the
+// translator (provider or memory) and by human edits and imports (see review.js).
+// The issues found replace the translation's previous ones in qa_issues, so they
+// always describe its current text. Errors are output that breaks the page or
+// loses information; warnings need a look but may be fine.
+//
+//   numbers       every number in the source appears in the translation and no other
+//   urls, emails  links and addresses are kept exactly
+//   placeholders  variables such as {name}, {{count}}, %s and %1$d are kept exactly
+//   tags          inline tags (<g1>...</g1>, <x2/>) are all kept and properly nested
+//   length        the translation is not much longer than the source for its element
+//   untranslated  the translation is not empty or the source text left as it was
+
+const RULES = ['numbers', 'urls', 'emails', 'placeholders', 'tags', 'length', 'untranslated'];
+const SEVERITIES = ['error', 'warning'];
+
+// Longest translation allowed, as a multiple of the source length, per element type.
+// Titles, buttons and links sit in fixed-size places; body text can wrap. '*' applies
+// to every other element.
+const DEFAULT_LENGTH_LIMITS = {
+  title: 1.5,
+  meta: 1.6,
+  button: 1.6,
+  a: 1.8,
+  label: 1.8,
+  option: 1.8,
+  th: 1.8,
+  '*': 2.5
+};
+
+// Short texts expand the most ("OK" -> "D'accord"), so every text may grow by this
+// many characters whatever its limit
+const SHORT_TEXT_SLACK = 10;
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const VARIABLE_PATTERN = /\{\{\s*[\w.]+\s*\}\}|\$\{[\w.]+\}|\{[\w.]+\}|%\([\w]+\)[sdf]|%(?:\d+\$)?[sdf@]/g;
+// "1,234.5", "1 234,5" and "1234.5" are the same number written for different locales
+const NUMBER_PATTERN = /\d+(?:(?:[.,'\u00a0\u202f]|\s(?=\d{3}\b))\d+)*/g;
+const TRAILING_PUNCTUATION = /[.,;:!?)\]]+$/;
+// What is left of a placeholder a provider mangled, such as "</g1" or "<x2"
+const BROKEN_TAG_PATTERN = /<\/?[gx]\d+/g;
+
+const findTranslationToCheck = db.prepare(`
+  SELECT t.id, t.status, t.translated_text, s.original_text, s.element_type, w.qa_length_limits
+  FROM translations t
+  JOIN segments s ON t.segment_id = s.id
+  JOIN websites w ON s.website_id = w.id
+  WHERE t.segment_id = ? AND t.language = ?
+`);
+
+const findWebsiteTranslations = db.prepare(`
+  SELECT t.id, t.translated_text, s.original_text, s.element_type
+  FROM translations t
+  JOIN segments s ON t.segment_id = s.id
+  WHERE s.website_id = ? AND (? IS NULL OR t.language = ?)
+  AND t.status = 'translated' AND s.sync_status <> 'removed'
+`);
+
+const deleteIssues = db.prepare('DELETE FROM qa_issues WHERE translation_id = ?');
+
+const insertIssue = db.prepare(`
+  INSERT INTO qa_issues (translation_id, rule, severity, message, details, created_at)
+  VALUES (@translationId, @rule, @severity, @message, @details, datetime('now'))
+`);
+
+const markChecked = db.prepare(`
+  UPDATE translations SET qa_checked_at = datetime('now') WHERE id = ?
+`);
+
+const findIssues = db.prepare(`
+  SELECT rule, severity, message, details, created_at FROM qa_issues
+  WHERE translation_id = ?
+  ORDER BY severity = 'warning', id
+`);
+
+const findLengthLimits = db.prepare('SELECT qa_length_limits FROM websites WHERE id = ?');
+
+const updateLengthLimits = db.prepare(`
+  UPDATE websites SET qa_length_limits = ? WHERE id = ?
+`);
+
+// Issues are stored and filtered through segments, so the report covers the
+// translations a website currently publishes
+const REPORT_FILTERS = `
+  FROM qa_issues q
+  JOIN translations t ON q.translation_id = t.id
+  JOIN segments s ON t.segment_id = s.id
+  WHERE s.website_id = @websiteId AND t.status = 'translated' AND s.sync_status <> 'removed'
+  AND (@language IS NULL OR t.language = @language)
+  AND (@path IS NULL OR s.path = @path)
+`;
+
+const countIssuesByRule = db.prepare(`
+  SELECT q.rule, q.severity, COUNT(*) AS count ${REPORT_FILTERS}
+  GROUP BY q.rule, q.severity
+`);
+
+const ISSUE_FILTERS = `
+  ${REPORT_FILTERS}
+  AND (@rule IS NULL OR q.rule = @rule)
+  AND (@severity IS NULL OR q.severity = @severity)
+`;
+
+const findReportTranslations = db.prepare(`
+  SELECT DISTINCT s.id AS segment_id, s.path, s.element_type, s.position, s.original_text,
+    t.id AS translation_id, t.language, t.translated_text, t.review_status, t.updated_by,
+    t.qa_checked_at
+  ${ISSUE_FILTERS}
+  ORDER BY s.path, s.position, s.id, t.language
+  LIMIT @limit OFFSET @offset
+`);
+
+const countReportTranslations = db.prepare(`
+  SELECT COUNT(DISTINCT t.id) AS count ${ISSUE_FILTERS}
+`);
+
+// Items of `source` missing from `target` and the other way round, counting repeats
+function compareLists(source, target) {
+  const remaining = [...target];
+  const missing = [];
+  source.forEach(item => {
+    const index = remaining.indexOf(item);
+    if (index === -1) {
+      missing.push(item);
+    } else {
+      remaining.splice(index, 1);
+    }
+  });
+  return { missing, extra: remaining };
+}
+
+function findAll(text, pattern) {
+  return text.match(pattern) || [];
+}
+
+function findUrls(text) {
+  return findAll(text, URL_PATTERN).map(url => url.replace(TRAILING_PUNCTUATION, ''));
+}
+
+function findEmails(text) {
+  return findAll(text, EMAIL_PATTERN).map(email => email.toLowerCase());
+}
+
+function findVariables(text) {
+  return findAll(text, VARIABLE_PATTERN).map(variable => variable.replace(/\s+/g, ''));
+}
+
+// Digits only, so separators may change with the locale. Numbers inside links,
+// addresses, variables and tags are checked by those rules instead.
+function findNumbers(text) {
+  const prose = text.replace(URL_PATTERN, ' ').replace(EMAIL_PATTERN, ' ')
+    .replace(VARIABLE_PATTERN, ' ').replace(BROKEN_TAG_PATTERN, ' ');
+  return findAll(prose, NUMBER_PATTERN).map(number => number.replace(/\D/g, ''));
+}
+
+function mismatchIssue(rule, label, source, target) {
+  const { missing, extra } = compareLists(source, target);
+  if (!missing.length && !extra.length) return null;
+
+  const parts = [];
+  if (missing.length) parts.push(`missing ${missing.join(', ')}`);
+  if (extra.length) parts.push(`unexpected ${extra.join(', ')}`);
+  return {
+    rule,
+    severity: 'error',
+    message: `${label} differ from the source: ${parts.join('; ')}`,
+    details: { missing, extra }
+  };
+}
+
+// Inline tags of a segment as 'g1', 'x2'..., or an error message if they don't nest
+function parseTags(text) {
+  const tags = [];
+  const open = [];
+  for (const [tag, closing, type, id, selfClosing] of text.matchAll(PLACEHOLDER_PATTERN)) {
+    const name = `${type}${id}`;
+    if (type === 'x' || selfClosing) {
+      if (type !== 'x' || !selfClosing || closing) return { error: `${tag} is malformed` };
+      tags.push(name);
+    } else if (closing) {
+      const expected = open.pop();
+      if (expected !== name) {
+        return { error: expected ? `${tag} closes <${expected}>` : `${tag} has no opening tag` };
+      }
+    } else {
+      open.push(name);
+      tags.push(name);
+    }
+  }
+  if (open.length) {
+    return { error: `<${open[open.length - 1]}> is never closed` };
+  }
+  return { tags };
+}
+
+function checkTags(sourceText, translatedText) {
+  const target = parseTags(translatedText);
+  if (target.error) {
+    return { rule: 'tags', severity: 'error', message: `Inline tags are unbalanced: ${target.error}`, details: null };
+  }
+
+  const source = parseTags(sourceText);
+  if (source.error) return null;
+  const { missing, extra } = compareLists(source.tags, target.tags);
+  if (!missing.length && !extra.length) return null;
+
+  const format = name => (name.startsWith('x') ? `<${name}/>` : `<${name}>`);
+  const parts = [];
+  if (missing.length) parts.push(`missing ${missing.map(format).join(', ')}`);
+  if (extra.length) parts.push(`unexpected ${extra.map(format).join(', ')}`);
+  return {
+    rule: 'tags',
+    severity: 'error',
+    message: `Inline tags differ from the source: ${parts.join('; ')}`,
+    details: { missing, extra }
+  };
+}
+
+function checkLength(source, target, elementType, lengthLimits) {
+  const ratio = lengthLimits[elementType] ?? lengthLimits['*'];
+  const sourceLength = [...source.trim()].length;
+  const translatedLength = [...target.trim()].length;
+  if (!ratio || !sourceLength) return null;
+
+  const maxLength = Math.max(Math.ceil(sourceLength * ratio), sourceLength + SHORT_TEXT_SLACK);
+  if (translatedLength <= maxLength) return null;
+
+  return {
+    rule: 'length',
+    severity: 'warning',
+    message: `The translation is ${translatedLength} characters long, over the ${maxLength} allowed for a <${elementType}> with ${sourceLength} characters of source text`,
+    details: { sourceLength, translatedLength, maxLength, ratio }
+  };
+}
+
+function normalizeText(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Single words are often names, brands or loanwords kept as they are, so only text
+// of two or more words is reported when identical to the source
+function checkUntranslated(source, target) {
+  if (!target.trim()) {
+    return { rule: 'untranslated', severity: 'error', message: 'The translation is empty', details: null };
+  }
+
+  const words = findAll(source.replace(URL_PATTERN, ' ').replace(EMAIL_PATTERN, ' '), /\p{L}+/gu);
+  if (words.length < 2 || normalizeText(source) !== normalizeText(target)) return null;
+
+  return {
+    rule: 'untranslated',
+    severity: 'warning',
+    message: 'The translation is identical to the source',
+    details: null
+  };
+}
+
+// Issues in a translation of a segment's text, as { rule, severity, message, details }.
+// Both texts are segment text: escaped HTML with inline placeholders.
+function findTranslationIssues(sourceText, translatedText, { elementType = '*', lengthLimits = DEFAULT_LENGTH_LIMITS } = {}) {
+  const source = decodeSegmentText(sourceText);
+  const target = decodeSegmentText(translatedText);
+
+  return [
+    checkUntranslated(source, target),
+    mismatchIssue('numbers', 'Numbers', findNumbers(source), findNumbers(target)),
+    mismatchIssue('urls', 'URLs', findUrls(source), findUrls(target)),
+    mismatchIssue('emails', 'Email addresses', findEmails(source), findEmails(target)),
+    mismatchIssue('placeholders', 'Placeholders', findVariables(source), findVariables(target)),
+    checkTags(sourceText, translatedText),
+    checkLength(source, target, elementType, lengthLimits)
+  ].filter(Boolean);
+}
+
+// The defaults with the website's overrides applied
+function parseLengthLimits(overrides) {
+  return { ...DEFAULT_LENGTH_LIMITS, ...JSON.parse(overrides || '{}') };
+}
+
+function getLengthLimits(websiteId) {
+  const row = findLengthLimits.get(websiteId);
+  const overrides = row ? JSON.parse(row.qa_length_limits) : {};
+  return { defaults: DEFAULT_LENGTH_LIMITS, overrides, limits: { ...DEFAULT_LENGTH_LIMITS, ...overrides } };
+}
+
+// Returns an error message, or null for { elementType: ratio } limits such as
+// { "title": 1.5, "*": 3 }
+function validateLengthLimits(limits) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    return 'limits must be an object of element types and ratios';
+  }
+  for (const [elementType, ratio] of Object.entries(limits)) {
+    if (elementType !== '*' && !/^[a-z][a-z0-9-]*$/.test(elementType)) {
+      return `Invalid element type: ${elementType}`;
+    }
+    if (typeof ratio !== 'number' || !(ratio >= 1 && ratio <= 10)) {
+      return `The limit for ${elementType} must be a number from 1 to 10`;
+    }
+  }
+  return null;
+}
+
+function saveLengthLimits(websiteId, limits) {
+  updateLengthLimits.run(JSON.stringify(limits), websiteId);
+  return getLengthLimits(websiteId);
+}
+
+// Replace the stored issues of a translation with the ones found in its current text
+function storeIssues(translation, lengthLimits) {
+  const issues = findTranslationIssues(translation.original_text, translation.translated_text || '', {
+    elementType: translation.element_type,
+    lengthLimits
+  });
+
+  deleteIssues.run(translation.id);
+  issues.forEach(issue => {
+    insertIssue.run({
+      translationId: translation.id,
+      rule: issue.rule,
+      severity: issue.severity,
+      message: issue.message,
+      details: issue.details ? JSON.stringify(issue.details) : null
+    });
+  });
+  markChecked.run(translation.id);
+  return issues;
+}
+
+// Check the stored translation of a segment in one language; called right after the
+// translation is saved, inside the same transaction
+const checkTranslation = db.transaction((segmentId, language) => {
+  const translation = findTranslationToCheck.get(segmentId, language);
+  if (!translation || translation.status !== 'translated') return [];
+  return storeIssues(translation, parseLengthLimits(translation.qa_length_limits));
+});
+
+// Check every translated segment of a website again, e.g. after its length limits
+// change or for translations stored before the checks existed
+const checkWebsite = db.transaction((websiteId, language = null) => {
+  const lengthLimits = getLengthLimits(websiteId).limits;
+  const translations = findWebsiteTranslations.all(websiteId, language, language);
+
+  let withIssues = 0;
+  translations.forEach(translation => {
+    if (storeIssues(translation, lengthLimits).length) withIssues++;
+  });
+  return { checked: translations.length, withIssues };
+});
+
+function getIssues(translationId) {
+  return findIssues.all(translationId).map(issue => ({
+    ...issue,
+    details: issue.details ? JSON.parse(issue.details) : null
+  }));
+}
+
+// Translations of a website with issues, each with all of its issues, plus issue
+// counts per rule and severity. `rule` and `severity` choose which translations are
+// listed; `language` and `path` also narrow the counts.
+function getReport(websiteId, { rule = null, severity = null, language = null, path = null, limit, offset }) {
+  const filters = { websiteId, language, path, rule, severity };
+
+  const rules = Object.fromEntries(RULES.map(name => [name, { error: 0, warning: 0 }]));
+  countIssuesByRule.all(filters).forEach(row => {
+    if (rules[row.rule]) rules[row.rule][row.severity] = row.count;
+  });
+
+  const translations = findReportTranslations.all({ ...filters, limit, offset })
+    .map(translation => ({ ...translation, issues: getIssues(translation.translation_id) }));
+
+  return { rules, translations, total: countReportTranslations.get(filters).count };
+}
+
+module.exports = {
+  RULES,
+  SEVERITIES,
+  DEFAULT_LENGTH_LIMITS,
+  findTranslationIssues,
+  checkTranslation,
+  checkWebsite,
+  getIssues,
+  getReport,
+  getLengthLimits,
+  validateLengthLimits,
+  saveLengthLimits
+};
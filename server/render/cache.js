@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const db = require('../db');
+const { fetchPageResponse } = require('../extractor');
+const { createLruCache } = require('../utils/lru');
+
+// Two in-memory caches in front of the render pipeline:
+//   upstream - original pages by URL, kept as long as the origin's Cache-Control,
+//              Expires or CACHE_DEFAULT_TTL allows and revalidated with its ETag or
+//              Last-Modified once stale
+//   rendered - translated pages by domain, path, query string and language, reused while
+//              the original page and the website's cache version are unchanged
+// Cache versions are bumped by database triggers (migration 016) whenever translations,
+// slugs or publishing settings change, so edits show up on the next request.
+
+const MAX_ENTRIES = Number(process.env.CACHE_MAX_PAGES ?? 200);
+// Seconds an original page without freshness headers is reused before revalidating
+const DEFAULT_TTL = Number(process.env.CACHE_DEFAULT_TTL ?? 60);
+
+const upstreamCache = createLruCache(MAX_ENTRIES);
+const renderedCache = createLruCache(MAX_ENTRIES);
+
+const stats = {
+  upstream: { hits: 0, revalidated: 0, misses: 0 },
+  rendered: { hits: 0, misses: 0 }
+};
+
+const findCacheVersion = db.prepare(`
+  SELECT COALESCE(SUM(version), 0) AS version FROM cache_versions
+  WHERE website_id = ? AND language IN (?, '*')
+`);
+
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+// "public, max-age=60" -> { public: true, 'max-age': '60' }
+function parseCacheControl(header = '') {
+  const directives = {};
+  String(header).split(',').forEach(part => {
+    const [name, value] = part.trim().split('=');
+    if (name) directives[name.toLowerCase()] = value === undefined ? true : value.replace(/"/g, '');
+  });
+  return directives;
+}
+
+// A shared cache must not keep private or no-store responses
+function isStorable(directives) {
+  return !directives['no-store'] && !directives.private;
+}
+
+// Milliseconds until a response goes stale
+function freshnessLifetime(headers, directives) {
+  if (directives['no-cache']) return 0;
+
+  const age = Number(headers.age) || 0;
+  const maxAge = directives['s-maxage'] ?? directives['max-age'];
+  if (maxAge !== undefined) {
+    return Math.max(0, (Number(maxAge) || 0) - age) * 1000;
+  }
+
+  if (headers.expires) {
+    const expires = Date.parse(headers.expires);
+    const date = Date.parse(headers.date) || Date.now();
+    return Number.isNaN(expires) ? 0 : Math.max(0, expires - date);
+  }
+
+  return DEFAULT_TTL * 1000;
+}
+
+// The original page at `pageUrl` as { html, hash, cacheControl, storable }: from the
+// cache while fresh, revalidated with a conditional request once stale
+async function fetchUpstream(website, path, pageUrl) {
+  const cached = upstreamCache.get(pageUrl);
+  if (cached && cached.expiresAt > Date.now()) {
+    stats.upstream.hits++;
+    return cached;
+  }
+
+  const headers = {};
+  if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+  if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+  const response = await fetchPageResponse(pageUrl, { headers });
+  const directives = parseCacheControl(response.headers['cache-control']);
+  const expiresAt = Date.now() + freshnessLifetime(response.headers, directives);
+
+  if (cached && response.status === 304) {
+    stats.upstream.revalidated++;
+    const entry = { ...cached, expiresAt };
+    upstreamCache.set(pageUrl, entry);
+    return entry;
+  }
+
+  stats.upstream.misses++;
+  const html = String(response.data);
+  const entry = {
+    domain: website.domain,
+    path,
+    html,
+    hash: hashContent(html),
+    etag: response.headers.etag || null,
+    lastModified: response.headers['last-modified'] || null,
+    cacheControl: response.headers['cache-control'] || null,
+    storable: isStorable(directives),
+    expiresAt
+  };
+
+  if (entry.storable && (expiresAt > Date.now() || entry.etag || entry.lastModified)) {
+    upstreamCache.set(pageUrl, entry);
+  }
+  return entry;
+}
+
+function getCacheVersion(websiteId, language) {
+  return findCacheVersion.get(websiteId, language).version;
+}
+
+function renderedKey({ website, path, search, language, proxyBase }) {
+  return `${proxyBase} ${website.domain} ${language} ${path}${search}`;
+}
+
+// A rendered page is reused only while `validity` (the original page's hash and the
+// cache version) is the one it was rendered with
+function getRendered(key, validity) {
+  const entry = renderedCache.get(key);
+  if (entry && entry.validity === validity) {
+    stats.rendered.hits++;
+    return entry;
+  }
+  stats.rendered.misses++;
+  return null;
+}
+
+function setRendered(key, entry) {
+  renderedCache.set(key, entry);
+}
+
+// Rendered pages get a strong ETag so clients can revalidate them
+function renderedEtag(html) {
+  return `"${hashContent(html)}"`;
+}
+
+// Remove cached pages; `domain`, `path` and `language` narrow what is removed. Original
+// pages have no language, so they are kept when one is given. Returns the number of
+// entries removed from each cache.
+function purge({ domain = null, path = null, language = null } = {}) {
+  const matches = (entry) => (!domain || entry.domain === domain) && (!path || entry.path === path);
+  return {
+    upstream: language ? 0 : upstreamCache.deleteWhere((key, entry) => matches(entry)),
+    rendered: renderedCache.deleteWhere((key, entry) => (
+      matches(entry) && (!language || entry.language === language)
+    ))
+  };
+}
+
+function getCacheStats() {
+  return {
+    upstream: { entries: upstreamCache.size, ...stats.upstream },
+    rendered: { entries: renderedCache.size, ...stats.rendered },
+    maxEntries: MAX_ENTRIES,
+    defaultTtl: DEFAULT_TTL
+  };
+}
+
+module.exports = {
+  parseCacheControl,
+  fetchUpstream,
+  getCacheVersion,
+  renderedKey,
+  getRendered,
+  setRendered,
+  renderedEtag,
+  purge,
+  getCacheStats
+};
@@ -0,0 +1,40 @@
+const { escapeText } = require('../segmenter');
+
+// Error pages for /view and the asset proxy. Fetch errors carry the status to answer
+// with (see fetcher/errors.js); their messages name internal addresses and stay in the
+// logs, so visitors only see a generic message for the status.
+const MESSAGES = {
+  400: 'This page cannot be requested.',
+  403: 'This page cannot be fetched.',
+  404: 'This page does not exist on the original website.',
+  413: 'This page is too large to translate.',
+  415: 'Only web pages can be translated.',
+  429: 'Too many requests to this website. Try again shortly.',
+  502: 'The original website could not be reached.',
+  504: 'The original website took too long to answer.',
+  500: 'Something went wrong while translating this page.'
+};
+
+function errorStatus(error) {
+  return MESSAGES[error && error.status] ? error.status : 500;
+}
+
+function errorPage(status) {
+  const message = escapeText(MESSAGES[status]);
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Error ${status}</title></head>
+<body><h1>Error ${status}</h1><p>${message}</p></body>
+</html>`;
+}
+
+function sendErrorPage(res, error) {
+  const status = errorStatus(error);
+  if (status === 429) res.setHeader('Retry-After', '1');
+  res.status(status)
+    .set('Content-Type', 'text/html; charset=utf-8')
+    .set('Cache-Control', 'no-store')
+    .send(errorPage(status));
+}
+
+module.exports = { errorStatus, sendErrorPage };
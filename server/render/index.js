@@ -0,0 +1,127 @@
+const cheerio = require('cheerio');
+const { fetchPage } = require('../extractor');
+const { applyTranslations } = require('../segmenter');
+const { getSelectorRules } = require('../selectors');
+const { createTranslationLookup } = require('./translations');
+const { rewriteUrls } = require('./urls');
+const { textDirection, getSiteLanguages, localizedUrl } = require('./locales');
+const {
+  parseCacheControl,
+  fetchUpstream,
+  getCacheVersion,
+  renderedKey,
+  getRendered,
+  setRendered,
+  renderedEtag
+} = require('./cache');
+
+// Every /view page goes through the same stages:
+// fetch the original, parse it, apply translations, rewrite URLs, inject head content.
+// Original and rendered pages are cached by render/cache.js.
+
+// Only a local development server is fetched over plain http: "localhost" or
+// "localhost:3000", not any domain that merely contains the word
+const LOCAL_HOST = /^localhost(:\d+)?$/i;
+
+function getOrigin(domain) {
+  const protocol = LOCAL_HOST.test(domain) ? 'http:' : 'https:';
+  return `${protocol}//${domain}`;
+}
+
+// Language attributes, a <base> so URLs built by scripts at runtime resolve against the
+// original page, and SEO links: a canonical URL and an hreflang alternate per language.
+// The original site's own canonical and alternates point at the wrong pages.
+function injectHead($, { pageUrl, language, canonicalUrl, alternates }) {
+  $('html').attr('lang', language).attr('dir', textDirection(language));
+
+  $('base, link[rel="canonical"], link[rel="alternate"][hreflang]').remove();
+  const links = [
+    $('<link rel="canonical">').attr('href', canonicalUrl),
+    ...alternates.map(({ hreflang, href }) => (
+      $('<link rel="alternate">').attr('hreflang', hreflang).attr('href', href)
+    ))
+  ];
+  $('head').prepend($('<base>').attr('href', pageUrl), ...links);
+}
+
+function pageAlternates(website, pathname, search, proxyBase) {
+  const languages = getSiteLanguages(website);
+  const urlFor = language => localizedUrl({ proxyBase, website, language, pathname, search });
+
+  return [
+    ...languages.map(language => ({ hreflang: language, href: urlFor(language) })),
+    { hreflang: 'x-default', href: urlFor(website.source_language) }
+  ];
+}
+
+// The document for `html` with translations, URLs and head content applied
+function renderDocument(html, { website, path, search, language, proxyBase, pageUrl }) {
+  const $ = cheerio.load(html);
+
+  if (language !== website.source_language) {
+    applyTranslations(
+      $,
+      createTranslationLookup(website, path, language),
+      getSelectorRules(website.id)
+    );
+  }
+
+  rewriteUrls($, { pageUrl, website, domain: website.domain, language, proxyBase });
+
+  injectHead($, {
+    pageUrl,
+    language,
+    canonicalUrl: localizedUrl({ proxyBase, website, language, pathname: path, search }),
+    alternates: pageAlternates(website, path, search, proxyBase)
+  });
+
+  return $.html();
+}
+
+// Cache-Control for clients: rendered pages change whenever translations do, so clients
+// always revalidate, and pages the origin marks private or no-store stay that way
+function clientCacheControl(upstreamCacheControl) {
+  const directives = parseCacheControl(upstreamCacheControl);
+  if (directives['no-store']) return 'no-store';
+  return directives.private ? 'private, no-cache' : 'no-cache';
+}
+
+// Render `path` of a website in `language` as { html, etag, cacheControl }. `search` is
+// the query string passed to the original site; `proxyBase` is the absolute URL of this
+// server, used for links. `request` ({ method, data, contentType }) forwards a form
+// submission; those are never cached. GET requests go through render/cache.js.
+async function renderPage({ website, path, search = '', language, proxyBase, request }) {
+  const origin = getOrigin(website.domain);
+  const pageUrl = `${origin}${path}${search}`;
+  const options = { website, path, search, language, proxyBase, pageUrl };
+
+  if (request) {
+    const html = renderDocument(await fetchPage(pageUrl, request), options);
+    return { html, etag: null, cacheControl: 'no-store' };
+  }
+
+  const upstream = await fetchUpstream(website, path, pageUrl);
+  const cacheControl = clientCacheControl(upstream.cacheControl);
+
+  // Published languages appear in every page's alternates
+  const key = renderedKey(options);
+  const validity = [
+    upstream.hash,
+    getCacheVersion(website.id, language),
+    getSiteLanguages(website).join(',')
+  ].join(' ');
+
+  const cached = getRendered(key, validity);
+  if (cached) {
+    return { html: cached.html, etag: cached.etag, cacheControl };
+  }
+
+  const html = renderDocument(upstream.html, options);
+  const etag = renderedEtag(html);
+  if (upstream.storable) {
+    setRendered(key, { domain: website.domain, path, language, validity, html, etag });
+  }
+  return { html, etag, cacheControl };
+}
+
+module.exports = { renderPage, getOrigin };
@@ -0,0 +1,86 @@
+const db = require('../db');
+const { localizePath, resolveSlug } = require('../slugs');
+
+// How /view URLs carry the language:
+//   query  - /view/:domain/about?lang=fr
+//   prefix - /view/:domain/fr/about (the source language has no prefix)
+const URL_MODES = ['query', 'prefix'];
+
+const RTL_LANGUAGES = new Set(['ar', 'fa', 'he', 'ur', 'ps', 'sd', 'ug', 'yi', 'dv', 'ku']);
+
+// Languages with at least one servable translation, honoring approved_only
+const findPublishedLanguages = db.prepare(`
+  SELECT DISTINCT t.language
+  FROM translations t
+  JOIN segments s ON t.segment_id = s.id
+  JOIN websites w ON s.website_id = w.id
+  WHERE s.website_id = ? AND t.status = 'translated'
+  AND (w.approved_only = 0 OR t.review_status = 'approved')
+  ORDER BY t.language
+`);
+
+function textDirection(language) {
+  return RTL_LANGUAGES.has(String(language).split('-')[0].toLowerCase()) ? 'rtl' : 'ltr';
+}
+
+// The source language first, then every published translation
+function getSiteLanguages(website) {
+  const published = findPublishedLanguages.all(website.id)
+    .map(row => row.language)
+    .filter(language => language !== website.source_language);
+  return [website.source_language, ...published];
+}
+
+// Absolute /view URL of `pathname` in `language`, using the page's localized slug if it
+// has one. `search` may hold other parameters; any `lang` in it is replaced.
+function localizedUrl({ proxyBase, website, language, pathname, search = '', hash = '' }) {
+  const params = new URLSearchParams(search);
+  params.delete('lang');
+
+  let path = language === website.source_language
+    ? pathname
+    : localizePath(website.id, pathname, language);
+  if (website.url_mode === 'prefix') {
+    if (language !== website.source_language) {
+      path = `/${language}${path === '/' ? '' : path}`;
+    }
+  } else if (language !== website.source_language) {
+    params.set('lang', language);
+  }
+
+  const query = params.toString();
+  return `${proxyBase}/view/${website.domain}${path}${query ? `?${query}` : ''}${hash}`;
+}
+
+// Split a requested /view path into { language, path }. In prefix mode a leading
+// segment naming one of the website's languages selects it; otherwise `lang` does,
+// if it is a single value naming one of them (?lang=fr&lang=de arrives as an array).
+// Anything else serves the source language.
+// Localized slugs resolve to the original path; a replaced slug gives `redirectTo`,
+// the original path to redirect to.
+function resolveViewPath(website, requestedPath, lang) {
+  const languages = getSiteLanguages(website);
+  let language = typeof lang === 'string' && languages.includes(lang) ? lang : website.source_language;
+  let path = requestedPath;
+
+  if (website.url_mode === 'prefix') {
+    const [, first, rest = ''] = requestedPath.match(/^\/([^/]+)(\/.*)?$/) || [];
+    if (first && languages.includes(first)) {
+      language = first;
+      path = rest || '/';
+    }
+  }
+
+  if (language === website.source_language) {
+    return { language, path };
+  }
+  return { language, ...resolveSlug(website.id, path, language) };
+}
+
+module.exports = {
+  URL_MODES,
+  textDirection,
+  getSiteLanguages,
+  localizedUrl,
+  resolveViewPath
+};
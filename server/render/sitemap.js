@@ -0,0 +1,57 @@
+const db = require('../db');
+const { getSiteLanguages, localizedUrl } = require('./locales');
+
+// Sitemaps of the translated site: an index with one sitemap per language, each listing
+// every stored page with hreflang alternates in the other languages
+
+const findPagePaths = db.prepare(`
+  SELECT DISTINCT path FROM segments
+  WHERE website_id = ? AND sync_status <> 'removed'
+  ORDER BY path
+`);
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function sitemapIndex(website, proxyBase) {
+  const entries = getSiteLanguages(website).map(language => `  <sitemap>
+    <loc>${escapeXml(`${proxyBase}/view/${website.domain}/sitemaps/${language}.xml`)}</loc>
+  </sitemap>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join('\n')}
+</sitemapindex>
+`;
+}
+
+// null when `language` is not one of the website's languages
+function languageSitemap(website, language, proxyBase) {
+  const languages = getSiteLanguages(website);
+  if (!languages.includes(language)) return null;
+
+  const urls = findPagePaths.all(website.id).map(({ path }) => {
+    const urlFor = lang => localizedUrl({ proxyBase, website, language: lang, pathname: path });
+    const alternates = languages.map(lang => (
+      `    <xhtml:link rel="alternate" hreflang="${escapeXml(lang)}" href="${escapeXml(urlFor(lang))}"/>`
+    ));
+
+    return `  <url>
+    <loc>${escapeXml(urlFor(language))}</loc>
+${alternates.join('\n')}
+  </url>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+module.exports = { sitemapIndex, languageSitemap };
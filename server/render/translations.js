@@ -0,0 +1,96 @@
+const db = require('../db');
+const { hashText } = require('../memory');
+
+// Websites set to approved_only publish nothing that hasn't been approved in review
+const findPageTranslations = db.prepare(`
+  SELECT s.source_hash, s.position, t.translated_text
+  FROM segments s
+  JOIN translations t ON t.segment_id = s.id
+  JOIN websites w ON s.website_id = w.id
+  WHERE s.website_id = ? AND s.path = ? AND t.language = ? AND t.status = 'translated'
+  AND (w.approved_only = 0 OR t.review_status = 'approved')
+`);
+
+// The same text elsewhere on the website, preferring approved, then recent, translations
+const findWebsiteTranslation = db.prepare(`
+  SELECT t.translated_text
+  FROM segments s
+  JOIN translations t ON t.segment_id = s.id
+  JOIN websites w ON s.website_id = w.id
+  WHERE s.website_id = ? AND s.source_hash = ? AND t.language = ? AND t.status = 'translated'
+  AND (w.approved_only = 0 OR t.review_status = 'approved')
+  ORDER BY t.review_status = 'approved' DESC, t.updated_at DESC
+  LIMIT 1
+`);
+
+// Published translations of a page by source text, for the embeddable client script
+const findPublishedPageTranslations = db.prepare(`
+  SELECT s.original_text, t.translated_text
+  FROM segments s
+  JOIN translations t ON t.segment_id = s.id
+  JOIN websites w ON s.website_id = w.id
+  WHERE s.website_id = ? AND s.path = ? AND t.language = ? AND t.status = 'translated'
+  AND s.sync_status <> 'removed'
+  AND (w.approved_only = 0 OR t.review_status = 'approved')
+  ORDER BY t.review_status = 'approved' DESC, t.updated_at DESC
+`);
+
+// Published translations anywhere on the website for a JSON array of source hashes
+const findPublishedByHashes = db.prepare(`
+  SELECT s.source_hash, t.translated_text
+  FROM segments s
+  JOIN translations t ON t.segment_id = s.id
+  JOIN websites w ON s.website_id = w.id
+  WHERE s.website_id = ? AND t.language = ? AND t.status = 'translated'
+  AND s.source_hash IN (SELECT value FROM json_each(?))
+  AND (w.approved_only = 0 OR t.review_status = 'approved')
+  ORDER BY t.review_status = 'approved' DESC, t.updated_at DESC
+`);
+
+// { sourceText: translatedText } for every published segment of a page
+function getPageTranslations(website, path, language) {
+  const translations = {};
+  findPublishedPageTranslations.all(website.id, path, language).forEach(row => {
+    if (!(row.original_text in translations)) {
+      translations[row.original_text] = row.translated_text;
+    }
+  });
+  return translations;
+}
+
+// { sourceText: translatedText } for the given segment texts found anywhere on the website
+function findTranslationsByText(website, texts, language) {
+  const textsByHash = new Map(texts.map(text => [hashText(text), text]));
+  const translations = {};
+  findPublishedByHashes.all(website.id, language, JSON.stringify([...textsByHash.keys()])).forEach(row => {
+    const text = textsByHash.get(row.source_hash);
+    if (!(text in translations)) {
+      translations[text] = row.translated_text;
+    }
+  });
+  return translations;
+}
+
+// A lookup for applyTranslations. Segments are matched by source hash and position
+// on the page; a segment that moved matches the same text elsewhere on the page, and
+// text not stored for this page (shared headers and footers) matches the website.
+function createTranslationLookup(website, path, language) {
+  const byPosition = new Map();
+  const byHash = new Map();
+
+  findPageTranslations.all(website.id, path, language).forEach(row => {
+    byPosition.set(`${row.source_hash} ${row.position}`, row.translated_text);
+    if (!byHash.has(row.source_hash)) {
+      byHash.set(row.source_hash, row.translated_text);
+    }
+  });
+
+  return segment => {
+    const sourceHash = hashText(segment.text);
+    return byPosition.get(`${sourceHash} ${segment.position}`) ||
+      byHash.get(sourceHash) ||
+      findWebsiteTranslation.get(website.id, sourceHash, language)?.translated_text;
+  };
+}
+
+module.exports = { createTranslationLookup, getPageTranslations, findTranslationsByText };
@@ -0,0 +1,188 @@
+// Rewrites every URL in a proxied page. Same-origin pages and form targets stay inside
+// the /view proxy with the selected language; everything else points at the original
+// site. With PROXY_ASSETS set, same-origin stylesheets and fonts are served through
+// /assets/:domain so their relative references and CORS-restricted fonts keep working.
+//
+// `options` is { pageUrl, website, domain, language, proxyBase }: the original URL of
+// the page, its website and domain, the language being viewed and the absolute URL of
+// this server.
+
+const { localizedUrl } = require('./locales');
+
+const PROXY_ASSETS = ['1', 'true'].includes(process.env.PROXY_ASSETS);
+
+// Same-origin links with one of these extensions are files, not pages to translate
+const PAGE_EXTENSIONS = new Set(['', 'htm', 'html', 'php', 'asp', 'aspx', 'jsp']);
+const FONT_EXTENSIONS = new Set(['woff', 'woff2', 'ttf', 'otf', 'eot']);
+
+// Elements and attributes holding a single asset URL
+const ASSET_ATTRIBUTES = [
+  { selector: 'img[src], script[src], iframe[src], embed[src], track[src], input[type="image"][src]', attribute: 'src' },
+  { selector: 'source[src], video[src], audio[src]', attribute: 'src' },
+  { selector: 'video[poster]', attribute: 'poster' },
+  { selector: 'object[data]', attribute: 'data' },
+  { selector: 'link[href]', attribute: 'href' },
+  { selector: 'svg image[href], svg use[href], svg feImage[href]', attribute: 'href' },
+  { selector: 'svg image[xlink\\:href], svg use[xlink\\:href], svg feImage[xlink\\:href]', attribute: 'xlink:href' }
+];
+
+// data: URIs and non-http schemes are left alone
+function isSpecialUrl(value) {
+  return !value || /^(data:|blob:|about:|mailto:|tel:|sms:|javascript:)/i.test(value);
+}
+
+function extensionOf(pathname) {
+  const match = pathname.match(/\.([a-z0-9]+)$/i);
+  return match ? match[1].toLowerCase() : '';
+}
+
+// Resolve `value` against `base`; null for unparseable or special URLs
+function resolveUrl(value, base) {
+  const trimmed = (value || '').trim();
+  if (isSpecialUrl(trimmed)) return null;
+
+  try {
+    const url = new URL(trimmed, base);
+    return ['http:', 'https:'].includes(url.protocol) ? url : null;
+  } catch (e) {
+    console.log('Invalid URL:', trimmed);
+    return null;
+  }
+}
+
+function isSameOrigin(url, { domain }) {
+  return url.hostname === domain;
+}
+
+// Absolute URL of a page under the proxy, keeping the selected language
+function proxyPageUrl(url, { proxyBase, website, language }) {
+  return localizedUrl({
+    proxyBase,
+    website,
+    language,
+    pathname: url.pathname,
+    search: url.search,
+    hash: url.hash
+  });
+}
+
+function proxyAssetUrl(url, { proxyBase, domain }) {
+  return `${proxyBase}/assets/${domain}${url.pathname}${url.search}`;
+}
+
+function isProxiedAsset(url, options, kind) {
+  if (!PROXY_ASSETS || !isSameOrigin(url, options)) return false;
+  return kind === 'stylesheet' || FONT_EXTENSIONS.has(extensionOf(url.pathname));
+}
+
+// URL for a referenced asset: proxied when it's a same-origin stylesheet or font,
+// otherwise absolute on its own origin
+function assetUrl(value, base, options, kind) {
+  // Fragments such as <use href="#icon"> point into the document itself
+  if (!value || value.trim().startsWith('#')) return null;
+  const url = resolveUrl(value, base);
+  if (!url) return null;
+  return isProxiedAsset(url, options, kind) ? proxyAssetUrl(url, options) : url.href;
+}
+
+// URL for a link or form target: same-origin pages stay inside the proxy. Fragment
+// links are made absolute too, or the <base> tag would send them to the original site.
+function navigationUrl(value, base, options) {
+  const url = resolveUrl(value, base);
+  if (!url) return null;
+  if (isSameOrigin(url, options) && PAGE_EXTENSIONS.has(extensionOf(url.pathname))) {
+    return proxyPageUrl(url, options);
+  }
+  return url.href;
+}
+
+// "a.png 1x, b.png 2x" with each candidate URL rewritten. As in the HTML spec, a URL
+// runs to the next whitespace, and descriptors run to the next comma.
+function rewriteSrcset(srcset, base, options) {
+  const candidates = [];
+  let rest = srcset;
+
+  while ((rest = rest.replace(/^[\s,]+/, ''))) {
+    let value = rest.match(/^\S+/)[0];
+    rest = rest.slice(value.length);
+
+    let descriptors = '';
+    if (value.endsWith(',')) {
+      value = value.replace(/,+$/, '');
+    } else {
+      descriptors = rest.match(/^[^,]*/)[0];
+      rest = rest.slice(descriptors.length);
+    }
+
+    const url = assetUrl(value, base, options) || value;
+    candidates.push(descriptors.trim() ? `${url} ${descriptors.trim()}` : url);
+  }
+
+  return candidates.join(', ');
+}
+
+// url(...) references and @import rules in CSS, resolved against the stylesheet's URL
+function rewriteCss(css, base, options) {
+  return css
+    .replace(/@import\s+(['"])(.*?)\1/gi, (match, quote, value) => {
+      const url = assetUrl(value, base, options, 'stylesheet');
+      return url ? `@import ${quote}${url}${quote}` : match;
+    })
+    .replace(/url\(\s*(['"]?)(.*?)\1\s*\)/gi, (match, quote, value, offset, source) => {
+      const isImport = /@import\s+$/i.test(source.slice(Math.max(0, offset - 20), offset));
+      const url = assetUrl(value, base, options, isImport ? 'stylesheet' : undefined);
+      return url ? `url('${url.replace(/'/g, '%27')}')` : match;
+    });
+}
+
+function rewriteUrls($, options) {
+  const { pageUrl } = options;
+  const setAttribute = (el, attribute, url) => url && $(el).attr(attribute, url);
+
+  $('a[href], area[href]').each((i, el) => {
+    setAttribute(el, 'href', navigationUrl($(el).attr('href'), pageUrl, options));
+  });
+  $('svg a[xlink\\:href]').each((i, el) => {
+    setAttribute(el, 'xlink:href', navigationUrl($(el).attr('xlink:href'), pageUrl, options));
+  });
+
+  // A GET form replaces the query string of its action, so the language travels as a field
+  $('form').each((i, el) => {
+    const $form = $(el);
+    const action = navigationUrl($form.attr('action') || pageUrl, pageUrl, options);
+    setAttribute(el, 'action', action);
+
+    const lang = action && action.startsWith(`${options.proxyBase}/view/`) &&
+      new URL(action).searchParams.get('lang');
+    if (lang && ($form.attr('method') || 'get').toLowerCase() === 'get' &&
+      !$form.find('input[name="lang"]').length) {
+      $form.prepend($('<input type="hidden" name="lang">').attr('value', lang));
+    }
+  });
+  $('[formaction]').each((i, el) => {
+    setAttribute(el, 'formaction', navigationUrl($(el).attr('formaction'), pageUrl, options));
+  });
+
+  ASSET_ATTRIBUTES.forEach(({ selector, attribute }) => {
+    $(selector).each((i, el) => {
+      const isStylesheet = el.name === 'link' && /\bstylesheet\b/i.test($(el).attr('rel') || '');
+      const isFont = el.name === 'link' && $(el).attr('as') === 'font';
+      const kind = isStylesheet ? 'stylesheet' : (isFont ? 'font' : undefined);
+      setAttribute(el, attribute, assetUrl($(el).attr(attribute), pageUrl, options, kind));
+    });
+  });
+
+  $('img[srcset], source[srcset], link[imagesrcset]').each((i, el) => {
+    const attribute = el.name === 'link' ? 'imagesrcset' : 'srcset';
+    $(el).attr(attribute, rewriteSrcset($(el).attr(attribute), pageUrl, options));
+  });
+
+  $('[style]').each((i, el) => {
+    $(el).attr('style', rewriteCss($(el).attr('style'), pageUrl, options));
+  });
+  $('style').each((i, el) => {
+    $(el).text(rewriteCss($(el).text(), pageUrl, options));
+  });
+}
+
+module.exports = { PROXY_ASSETS, FONT_EXTENSIONS, rewriteUrls, rewriteCss };
@@ -0,0 +1,68 @@
+const db = require('./db');
+const memory = require('./memory');
+const qa = require('./qa');
+
+const REVIEW_STATUSES = ['machine', 'edited', 'reviewed', 'approved'];
+
+const upsertEditedTranslation = db.prepare(`
+  INSERT INTO translations (
+    segment_id, language, translated_text, status, review_status, updated_by, updated_at
+  ) VALUES (?, ?, ?, 'translated', 'edited', ?, datetime('now'))
+  ON CONFLICT (segment_id, language) DO UPDATE SET
+    translated_text = excluded.translated_text,
+    status = 'translated',
+    error = NULL,
+    review_status = 'edited',
+    updated_by = excluded.updated_by,
+    updated_at = excluded.updated_at
+`);
+
+const updateReviewStatus = db.prepare(`
+  UPDATE translations
+  SET review_status = ?, updated_by = ?, updated_at = datetime('now')
+  WHERE segment_id = ? AND language = ? AND status = 'translated'
+`);
+
+// The account making the request (see auth.js)
+function getAuthor(req) {
+  return req.user.email;
+}
+
+// Reviewed and approved text is as good as a human translation for reuse.
+// `segment` needs original_text, website_id and source_language.
+function rememberHumanTranslation(segment, language, translatedText) {
+  memory.remember({
+    sourceText: segment.original_text,
+    sourceLanguage: segment.source_language,
+    targetLanguage: language,
+    targetText: translatedText,
+    origin: 'human',
+    websiteId: segment.website_id
+  });
+}
+
+// Store human-edited text for a segment; later translation runs keep it. The text is
+// checked like machine output, so edits and imports show up in the QA report too.
+function saveHumanTranslation(segment, language, translatedText, author) {
+  db.transaction(() => {
+    upsertEditedTranslation.run(segment.id, language, translatedText, author);
+    rememberHumanTranslation(segment, language, translatedText);
+    qa.checkTranslation(segment.id, language);
+  })();
+}
+
+function setReviewStatus(segment, language, reviewStatus, translatedText, author) {
+  db.transaction(() => {
+    updateReviewStatus.run(reviewStatus, author, segment.id, language);
+    if (reviewStatus === 'reviewed' || reviewStatus === 'approved') {
+      rememberHumanTranslation(segment, language, translatedText);
+    }
+  })();
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  getAuthor,
+  saveHumanTranslation,
+  setReviewStatus
+};
@@ -0,0 +1,90 @@
+const express = require('express');
+const {
+  validateScopes,
+  createAccount,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+} = require('../accounts');
+const { authenticate, requireScope } = require('../auth');
+
+// Accounts and API keys. These routes are mounted ahead of the /api authentication so
+// sign-up works without a key; the others authenticate themselves.
+
+const router = express.Router();
+
+// Open sign-up only with ALLOW_SIGNUP=true (any other value keeps it closed);
+// otherwise use `npm run create-account`
+const ALLOW_SIGNUP = process.env.ALLOW_SIGNUP === 'true';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+// Create an account: { email, name? }. The response holds its admin key, shown only once.
+router.post('/accounts', (req, res) => {
+  try {
+    if (!ALLOW_SIGNUP) {
+      return res.status(403).json({ error: 'Sign-up is disabled' });
+    }
+
+    const { email, name = null } = req.body;
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    const account = createAccount({ email: email.trim(), name });
+    if (!account) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    res.status(201).json(account);
+  } catch (error) {
+    console.error('Error creating account:', error);
+    res.status(500).json({ error: 'Failed to create account' });
+  }
+});
+
+// The account and scopes of the key making the request
+router.get('/account', authenticate, (req, res) => {
+  res.json({ user: req.user, scopes: req.scopes });
+});
+
+router.get('/account/api-keys', authenticate, requireScope('admin'), (req, res) => {
+  try {
+    res.json({ apiKeys: listApiKeys(req.user.id) });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+// Create a key: { name, scopes }. The key itself is only returned here.
+router.post('/account/api-keys', authenticate, requireScope('admin'), (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    const error = validateScopes(scopes);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.status(201).json(createApiKey(req.user.id, { name: name.trim(), scopes }));
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+router.delete('/account/api-keys/:keyId', authenticate, requireScope('admin'), (req, res) => {
+  try {
+    if (!revokeApiKey(req.user.id, req.params.keyId)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const db = require('../db');
+const { getOrigin } = require('../render');
+const { errorStatus } = require('../render/errors');
+const { safeRequest } = require('../fetcher');
+const { FONT_EXTENSIONS, rewriteCss } = require('../render/urls');
+
+const router = express.Router();
+
+// Only verified websites are proxied, like /view
+const findWebsite = db.prepare(`
+  SELECT id, domain FROM websites WHERE domain = ? AND verified_at IS NOT NULL
+`);
+
+function isStylesheet(contentType, pathname) {
+  return /text\/css/i.test(contentType) || /\.css$/i.test(pathname);
+}
+
+function isFont(contentType, pathname) {
+  const extension = (pathname.match(/\.([a-z0-9]+)$/i) || [])[1];
+  return /^(font\/|application\/(x-)?font)/i.test(contentType) ||
+    FONT_EXTENSIONS.has((extension || '').toLowerCase());
+}
+
+// Same-origin stylesheets and fonts of a registered website, used when PROXY_ASSETS is
+// set (see render/urls.js). Stylesheets have their own references rewritten; nothing
+// but CSS and fonts is served.
+router.get('/:domain/*', async (req, res) => {
+  try {
+    const website = findWebsite.get(req.params.domain);
+    if (!website) {
+      return res.status(404).send('Website not found');
+    }
+
+    const search = new URLSearchParams(req.query).toString();
+    const assetUrl = `${getOrigin(website.domain)}/${req.params[0]}${search ? `?${search}` : ''}`;
+    const { pathname } = new URL(assetUrl);
+
+    const response = await safeRequest(assetUrl, { responseType: 'arraybuffer' });
+    const contentType = response.headers['content-type'] || '';
+
+    if (response.headers['cache-control']) {
+      res.setHeader('Cache-Control', response.headers['cache-control']);
+    }
+
+    if (isStylesheet(contentType, pathname)) {
+      const css = rewriteCss(Buffer.from(response.data).toString('utf8'), assetUrl, {
+        domain: website.domain,
+        proxyBase: `${req.protocol}://${req.get('host')}`
+      });
+      res.setHeader('Content-Type', 'text/css; charset=utf-8');
+      return res.send(css);
+    }
+
+    if (isFont(contentType, pathname)) {
+      res.setHeader('Content-Type', contentType || 'application/octet-stream');
+      return res.send(Buffer.from(response.data));
+    }
+
+    res.status(415).send('Only stylesheets and fonts are proxied');
+  } catch (error) {
+    console.error('Asset proxy error:', error.message);
+    const status = errorStatus(error);
+    res.status(status === 500 ? 502 : status).send('Failed to fetch asset');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const { requireScope } = require('../auth');
+const db = require('../db');
+const { purge, getCacheStats } = require('../render/cache');
+const { normalizePath } = require('../utils/paths');
+
+const router = express.Router();
+
+const findWebsiteById = db.prepare('SELECT id, domain FROM websites WHERE id = ?');
+
+const findUserDomains = db.prepare('SELECT DISTINCT domain FROM websites WHERE user_id = ?');
+
+// Entry counts and hit rates of the page caches
+router.get('/cache', requireScope('admin'), (req, res) => {
+  try {
+    res.json(getCacheStats());
+  } catch (error) {
+    console.error('Error fetching cache stats:', error);
+    res.status(500).json({ error: 'Failed to fetch cache stats' });
+  }
+});
+
+// Empty both caches of the user's websites
+router.delete('/cache', requireScope('admin'), (req, res) => {
+  try {
+    const purged = { upstream: 0, rendered: 0 };
+    findUserDomains.all(req.user.id).forEach(({ domain }) => {
+      const removed = purge({ domain });
+      purged.upstream += removed.upstream;
+      purged.rendered += removed.rendered;
+    });
+    res.json({ purged });
+  } catch (error) {
+    console.error('Error purging cache:', error);
+    res.status(500).json({ error: 'Failed to purge cache' });
+  }
+});
+
+// Purge one website's pages, optionally one path (?path=/about) and/or language (?language=fr)
+router.delete('/websites/:websiteId/cache', requireScope('admin'), (req, res) => {
+  try {
+    const website = findWebsiteById.get(req.params.websiteId);
+    if (!website) {
+      return res.status(404).json({ error: 'Website not found' });
+    }
+
+    const { path, language } = req.query;
+    res.json({
+      purged: purge({
+        domain: website.domain,
+        path: path ? normalizePath(path) : null,
+        language: language || null
+      })
+    });
+  } catch (error) {
+    console.error('Error purging cache:', error);
+    res.status(500).json({ error: 'Failed to purge cache' });
+  }
+});
+
+module.exports = router;
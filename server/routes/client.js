@@ -0,0 +1,80 @@
+const express = require('express');
+const db = require('../db');
+const { getSelectorRules } = require('../selectors');
+const { getPageTranslations, findTranslationsByText } = require('../render/translations');
+const { getSiteLanguages, textDirection } = require('../render/locales');
+const { normalizePath } = require('../utils/paths');
+
+// JSON endpoints for the embeddable script (server/client/translate.js). Like
+// /api/get-translation they are looked up by domain, path and language, but only
+// return published translations of verified websites, keyed by source text, and
+// need no API key.
+
+const router = express.Router();
+
+const findWebsite = db.prepare(`
+  SELECT id, domain, source_language, approved_only FROM websites
+  WHERE domain = ? AND verified_at IS NOT NULL
+`);
+
+// Texts looked up per request by the script's MutationObserver
+const MAX_LOOKUP_TEXTS = 200;
+
+function loadWebsite(req, res, next) {
+  const domain = req.query.domain || req.body?.domain;
+  const website = domain && findWebsite.get(domain);
+  if (!website) {
+    return res.status(404).json({ error: 'Website not found' });
+  }
+  req.website = website;
+  next();
+}
+
+// The website's languages and selector rules, plus the page's translations when a
+// translated language is requested: ?domain=example.com&path=/about&language=fr
+router.get('/client/translations', loadWebsite, (req, res) => {
+  try {
+    const { website } = req;
+    const path = normalizePath(req.query.path);
+    const languages = getSiteLanguages(website);
+    const language = languages.includes(req.query.language) ? req.query.language : website.source_language;
+
+    res.setHeader('Cache-Control', 'no-cache');
+    res.json({
+      domain: website.domain,
+      path,
+      language,
+      sourceLanguage: website.source_language,
+      languages: languages.map(code => ({ code, direction: textDirection(code) })),
+      rules: getSelectorRules(website.id),
+      translations: language === website.source_language
+        ? {}
+        : getPageTranslations(website, path, language)
+    });
+  } catch (error) {
+    console.error('Error fetching client translations:', error);
+    res.status(500).json({ error: 'Failed to fetch translations' });
+  }
+});
+
+// Translations of text found outside the stored page, such as content inserted by
+// scripts: { domain, language, texts }. Texts without a translation are left out.
+router.post('/client/translations/lookup', loadWebsite, (req, res) => {
+  try {
+    const { language, texts } = req.body;
+
+    if (!language || !Array.isArray(texts) || texts.some(text => typeof text !== 'string')) {
+      return res.status(400).json({ error: 'Language and texts are required' });
+    }
+    if (texts.length > MAX_LOOKUP_TEXTS) {
+      return res.status(400).json({ error: `At most ${MAX_LOOKUP_TEXTS} texts can be looked up at once` });
+    }
+
+    res.json({ translations: findTranslationsByText(req.website, texts, language) });
+  } catch (error) {
+    console.error('Error looking up client translations:', error);
+    res.status(500).json({ error: 'Failed to look up translations' });
+  }
+});
+
+module.exports = router;
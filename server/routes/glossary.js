@@ -0,0 +1,117 @@
+const express = require('express');
+const db = require('../db');
+const glossary = require('../glossary');
+
+const router = express.Router();
+
+const findWebsiteById = db.prepare('SELECT id FROM websites WHERE id = ?');
+
+const findTranslatedSegments = db.prepare(`
+  SELECT s.id AS segment_id, s.path, s.element_type, s.original_text,
+    t.language, t.translated_text
+  FROM segments s
+  JOIN translations t ON t.segment_id = s.id
+  WHERE s.website_id = ? AND t.language = ? AND t.status = 'translated'
+`);
+
+// Reject requests for unknown websites before any handler runs
+router.use('/websites/:websiteId/glossary', (req, res, next) => {
+  if (!findWebsiteById.get(req.params.websiteId)) {
+    return res.status(404).json({ error: 'Website not found' });
+  }
+  next();
+});
+
+router.get('/websites/:websiteId/glossary', (req, res) => {
+  try {
+    res.json(glossary.listTerms(req.params.websiteId, req.query.language || null));
+  } catch (error) {
+    console.error('Error fetching glossary:', error);
+    res.status(500).json({ error: 'Failed to fetch glossary' });
+  }
+});
+
+// Translations that break a glossary rule, for one target language
+router.get('/websites/:websiteId/glossary/violations', (req, res) => {
+  try {
+    const { websiteId } = req.params;
+    const { language } = req.query;
+
+    if (!language) {
+      return res.status(400).json({ error: 'Language is required' });
+    }
+
+    const rules = glossary.getRules(websiteId, language);
+    const violations = findTranslatedSegments.all(websiteId, language)
+      .map(segment => ({
+        ...segment,
+        violations: glossary.findViolations(segment.original_text, segment.translated_text, rules)
+      }))
+      .filter(segment => segment.violations.length);
+
+    res.json({ language, count: violations.length, violations });
+  } catch (error) {
+    console.error('Error checking glossary violations:', error);
+    res.status(500).json({ error: 'Failed to check glossary violations' });
+  }
+});
+
+router.get('/websites/:websiteId/glossary/:termId', (req, res) => {
+  const term = glossary.getTerm(req.params.websiteId, req.params.termId);
+  if (!term) {
+    return res.status(404).json({ error: 'Glossary term not found' });
+  }
+  res.json(term);
+});
+
+router.post('/websites/:websiteId/glossary', (req, res) => {
+  try {
+    const validationError = glossary.validateTerm(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    res.status(201).json(glossary.createTerm(req.params.websiteId, req.body));
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ error: 'This term already exists for that language' });
+    }
+    console.error('Error creating glossary term:', error);
+    res.status(500).json({ error: 'Failed to create glossary term' });
+  }
+});
+
+router.put('/websites/:websiteId/glossary/:termId', (req, res) => {
+  try {
+    const validationError = glossary.validateTerm(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const term = glossary.saveTerm(req.params.websiteId, req.params.termId, req.body);
+    if (!term) {
+      return res.status(404).json({ error: 'Glossary term not found' });
+    }
+    res.json(term);
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ error: 'This term already exists for that language' });
+    }
+    console.error('Error updating glossary term:', error);
+    res.status(500).json({ error: 'Failed to update glossary term' });
+  }
+});
+
+router.delete('/websites/:websiteId/glossary/:termId', (req, res) => {
+  try {
+    if (!glossary.removeTerm(req.params.websiteId, req.params.termId)) {
+      return res.status(404).json({ error: 'Glossary term not found' });
+    }
+    res.json({ message: 'Glossary term deleted' });
+  } catch (error) {
+    console.error('Error deleting glossary term:', error);
+    res.status(500).json({ error: 'Failed to delete glossary term' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require('express');
+const { JOB_STATUSES, FINISHED_STATUSES, jobEvents, getJob, listJobs, cancelJob } = require('../jobs');
+const { parseFilters } = require('../utils/filters');
+
+const router = express.Router();
+
+// Recent jobs: ?websiteId=1&status=running&limit=20
+router.get('/jobs', (req, res) => {
+  try {
+    const { filters, error } = parseFilters(req.query, ['websiteId', 'status']);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const websiteId = filters.websiteId === null ? null : Number(filters.websiteId);
+    if (websiteId !== null && (!Number.isInteger(websiteId) || websiteId < 1)) {
+      return res.status(400).json({ error: 'websiteId must be a positive integer' });
+    }
+    if (filters.status !== null && !JOB_STATUSES.includes(filters.status)) {
+      return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+
+    res.json(listJobs({
+      websiteId,
+      userId: req.user.id,
+      status: filters.status,
+      limit: Math.min(Number(req.query.limit) || 50, 500)
+    }));
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Job status, progress counts and errors
+router.get('/jobs/:jobId', (req, res) => {
+  try {
+    const job = getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+// Stream job updates as server-sent events until the job finishes
+router.get('/jobs/:jobId/events', (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const eventName = `job:${job.id}`;
+  const send = (update) => {
+    res.write(`event: ${FINISHED_STATUSES.includes(update.status) ? 'done' : 'progress'}\n`);
+    res.write(`data: ${JSON.stringify(update)}\n\n`);
+    if (FINISHED_STATUSES.includes(update.status)) {
+      close();
+    }
+  };
+  const close = () => {
+    jobEvents.off(eventName, send);
+    res.end();
+  };
+
+  jobEvents.on(eventName, send);
+  req.on('close', () => jobEvents.off(eventName, send));
+  send(job);
+});
+
+router.post('/jobs/:jobId/cancel', (req, res) => {
+  try {
+    const job = cancelJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const { requireScope } = require('../auth');
+const { FUZZY_THRESHOLD, findExactMatch, findFuzzyMatches, getEntry, removeEntry } = require('../memory');
+
+const router = express.Router();
+
+// Look up a source text in the user's memory: the exact match (if any) plus fuzzy
+// matches above the threshold
+router.get('/memory', (req, res) => {
+  try {
+    const { text, source = 'en', target } = req.query;
+    const threshold = req.query.threshold ? Number(req.query.threshold) : FUZZY_THRESHOLD;
+    const limit = Math.min(Number(req.query.limit) || 5, 50);
+
+    if (!text || !target) {
+      return res.status(400).json({ error: 'Text and target language are required' });
+    }
+    if (!(threshold > 0 && threshold <= 1)) {
+      return res.status(400).json({ error: 'Threshold must be between 0 and 1' });
+    }
+
+    res.json({
+      exact: findExactMatch(text, source, target, req.user.id),
+      matches: findFuzzyMatches(text, source, target, req.user.id, { threshold, limit })
+    });
+  } catch (error) {
+    console.error('Error querying translation memory:', error);
+    res.status(500).json({ error: 'Failed to query translation memory' });
+  }
+});
+
+router.get('/memory/:entryId', (req, res) => {
+  const entry = getEntry(req.params.entryId);
+  if (!entry) {
+    return res.status(404).json({ error: 'Translation memory entry not found' });
+  }
+  res.json(entry);
+});
+
+router.delete('/memory/:entryId', requireScope('admin'), (req, res) => {
+  try {
+    if (!removeEntry(req.params.entryId)) {
+      return res.status(404).json({ error: 'Translation memory entry not found' });
+    }
+    res.json({ message: 'Translation memory entry deleted' });
+  } catch (error) {
+    console.error('Error deleting translation memory entry:', error);
+    res.status(500).json({ error: 'Failed to delete translation memory entry' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const express = require('express');
+const db = require('../db');
+const { createJob } = require('../jobs');
+const { getOrigin } = require('../render');
+const { purge } = require('../render/cache');
+const { listPages, getPage, createPage, movePage, deletePage } = require('../pages');
+const { normalizePath } = require('../utils/paths');
+const { parseFilters } = require('../utils/filters');
+const { parsePagination, paginationInfo } = require('../utils/pagination');
+
+const router = express.Router();
+
+const findWebsiteById = db.prepare('SELECT id, domain FROM websites WHERE id = ?');
+
+function isPath(value) {
+  return typeof value === 'string' && value.startsWith('/');
+}
+
+// Pages of a website, whether crawled (POST /api/map-website), fetched or added by hand.
+// ?path=/blog lists pages under a path prefix, ?source=sitemap those from one source.
+router.get('/websites/:websiteId/pages', (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const { filters, error } = parseFilters(req.query, ['path', 'source']);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { pages, total } = listPages(req.params.websiteId, {
+      ...filters,
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+    res.json({ pages, total, pagination: paginationInfo(pagination, total) });
+  } catch (error) {
+    console.error('Error fetching pages:', error);
+    res.status(500).json({ error: 'Failed to fetch pages' });
+  }
+});
+
+// Add a page by path: { path, fetch? }. With `fetch: true` it is fetched right away.
+router.post('/websites/:websiteId/pages', (req, res) => {
+  try {
+    const { path, fetch = false } = req.body;
+    if (!isPath(path)) {
+      return res.status(400).json({ error: 'path must start with /' });
+    }
+
+    const website = findWebsiteById.get(req.params.websiteId);
+    const pagePath = normalizePath(path);
+    const page = createPage(website.id, { path: pagePath, url: `${getOrigin(website.domain)}${pagePath}` });
+    if (!page) {
+      return res.status(409).json({ error: 'This page already exists' });
+    }
+
+    const job = fetch
+      ? createJob('fetch-website', {
+        websiteId: website.id,
+        params: { baseUrl: getOrigin(website.domain), selectedPages: [pagePath] }
+      })
+      : null;
+
+    res.status(201).json({ ...page, jobId: job ? job.id : null });
+  } catch (error) {
+    console.error('Error creating page:', error);
+    res.status(500).json({ error: 'Failed to create page' });
+  }
+});
+
+// A page with its segment counts per sync status and translation counts per language
+router.get('/websites/:websiteId/pages/:pageId', (req, res) => {
+  try {
+    const page = getPage(req.params.websiteId, req.params.pageId);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+    res.json(page);
+  } catch (error) {
+    console.error('Error fetching page:', error);
+    res.status(500).json({ error: 'Failed to fetch page' });
+  }
+});
+
+// Move a page to another path, with its segments, translations and slugs: { path }
+router.patch('/websites/:websiteId/pages/:pageId', (req, res) => {
+  try {
+    const { path } = req.body;
+    if (!isPath(path)) {
+      return res.status(400).json({ error: 'path must start with /' });
+    }
+
+    const website = findWebsiteById.get(req.params.websiteId);
+    const pagePath = normalizePath(path);
+    const page = movePage(website.id, req.params.pageId, {
+      path: pagePath,
+      url: `${getOrigin(website.domain)}${pagePath}`
+    });
+
+    if (page === 'not-found') {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+    if (page === 'conflict') {
+      return res.status(409).json({ error: 'Another page already has this path' });
+    }
+    purge({ domain: website.domain });
+    res.json(page);
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ error: 'Segments or slugs are already stored for this path' });
+    }
+    console.error('Error moving page:', error);
+    res.status(500).json({ error: 'Failed to move page' });
+  }
+});
+
+// Delete a page with its segments, translations and slugs
+router.delete('/websites/:websiteId/pages/:pageId', (req, res) => {
+  try {
+    const website = findWebsiteById.get(req.params.websiteId);
+    const path = deletePage(website.id, req.params.pageId);
+    if (!path) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    purge({ domain: website.domain, path });
+    res.json({ message: 'Page deleted' });
+  } catch (error) {
+    console.error('Error deleting page:', error);
+    res.status(500).json({ error: 'Failed to delete page' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const { requireScope } = require('../auth');
+const db = require('../db');
+const { DEFAULT_PROVIDERS, getProviderNames, isKnownProvider } = require('../providers');
+const {
+  listProviderSettings,
+  saveProviderSettings,
+  removeProviderSettings
+} = require('../providers/settings');
+
+const router = express.Router();
+
+const findWebsiteById = db.prepare('SELECT id FROM websites WHERE id = ?');
+
+// List available providers and the server-wide default order
+router.get('/providers', (req, res) => {
+  res.json({ providers: getProviderNames(), defaults: DEFAULT_PROVIDERS });
+});
+
+// Provider order configured for a website ('*' is the website-wide default)
+router.get('/websites/:websiteId/providers', (req, res) => {
+  try {
+    const { websiteId } = req.params;
+    if (!findWebsiteById.get(websiteId)) {
+      return res.status(404).json({ error: 'Website not found' });
+    }
+
+    res.json({ settings: listProviderSettings(websiteId), defaults: DEFAULT_PROVIDERS });
+  } catch (error) {
+    console.error('Error fetching provider settings:', error);
+    res.status(500).json({ error: 'Failed to fetch provider settings' });
+  }
+});
+
+// Set the provider fallback order for a website, or for one of its languages
+router.put('/websites/:websiteId/providers', requireScope('admin'), (req, res) => {
+  try {
+    const { websiteId } = req.params;
+    const { language, providers } = req.body;
+
+    if (!Array.isArray(providers) || !providers.length) {
+      return res.status(400).json({ error: 'A non-empty list of providers is required' });
+    }
+
+    const unknown = providers.filter(name => !isKnownProvider(name));
+    if (unknown.length) {
+      return res.status(400).json({ error: `Unknown providers: ${unknown.join(', ')}` });
+    }
+
+    if (!findWebsiteById.get(websiteId)) {
+      return res.status(404).json({ error: 'Website not found' });
+    }
+
+    saveProviderSettings(websiteId, language, providers);
+    res.json({ settings: listProviderSettings(websiteId) });
+  } catch (error) {
+    console.error('Error saving provider settings:', error);
+    res.status(500).json({ error: 'Failed to save provider settings' });
+  }
+});
+
+router.delete('/websites/:websiteId/providers/:language', requireScope('admin'), (req, res) => {
+  try {
+    const { websiteId, language } = req.params;
+
+    if (!removeProviderSettings(websiteId, language)) {
+      return res.status(404).json({ error: 'Provider settings not found' });
+    }
+
+    res.json({ settings: listProviderSettings(websiteId) });
+  } catch (error) {
+    console.error('Error deleting provider settings:', error);
+    res.status(500).json({ error: 'Failed to delete provider settings' });
+  }
+});
+
+module.exports = router;
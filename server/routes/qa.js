@@ -0,0 +1,89 @@
+const express = require('express');
+const { requireScope } = require('../auth');
+const qa = require('../qa');
+const { parseFilters } = require('../utils/filters');
+const { parsePagination, paginationInfo } = require('../utils/pagination');
+const { normalizePath } = require('../utils/paths');
+
+const router = express.Router();
+
+// Translations with QA issues, with issue counts per rule:
+// ?rule=numbers&severity=error&language=fr&path=/about&page=2
+router.get('/websites/:websiteId/qa', (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const { filters, error } = parseFilters(req.query, ['rule', 'severity', 'language', 'path']);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { rule, severity, language, path } = filters;
+    if (rule !== null && !qa.RULES.includes(rule)) {
+      return res.status(400).json({ error: `rule must be one of: ${qa.RULES.join(', ')}` });
+    }
+    if (severity !== null && !qa.SEVERITIES.includes(severity)) {
+      return res.status(400).json({ error: `severity must be one of: ${qa.SEVERITIES.join(', ')}` });
+    }
+
+    const { rules, translations, total } = qa.getReport(Number(req.params.websiteId), {
+      rule,
+      severity,
+      language,
+      path: path ? normalizePath(path) : null,
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({ rules, translations, pagination: paginationInfo(pagination, total) });
+  } catch (error) {
+    console.error('Error fetching QA report:', error);
+    res.status(500).json({ error: 'Failed to fetch QA report' });
+  }
+});
+
+// Check every translation of a website again, or those in one language: { language? }
+router.post('/websites/:websiteId/qa/check', (req, res) => {
+  try {
+    const { language = null } = req.body;
+    if (language !== null && typeof language !== 'string') {
+      return res.status(400).json({ error: 'language must be a language code' });
+    }
+    res.json(qa.checkWebsite(Number(req.params.websiteId), language));
+  } catch (error) {
+    console.error('Error running QA checks:', error);
+    res.status(500).json({ error: 'Failed to run QA checks' });
+  }
+});
+
+// Length limits per element type: the defaults, the website's overrides and the result
+router.get('/websites/:websiteId/qa/length-limits', (req, res) => {
+  try {
+    res.json(qa.getLengthLimits(req.params.websiteId));
+  } catch (error) {
+    console.error('Error fetching length limits:', error);
+    res.status(500).json({ error: 'Failed to fetch length limits' });
+  }
+});
+
+// Replace the website's overrides: { limits: { "title": 1.5, "*": 3 } }. Existing
+// translations keep their issues until checked again (POST .../qa/check).
+router.put('/websites/:websiteId/qa/length-limits', requireScope('admin'), (req, res) => {
+  try {
+    const { limits } = req.body;
+    const error = qa.validateLengthLimits(limits);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(qa.saveLengthLimits(req.params.websiteId, limits));
+  } catch (error) {
+    console.error('Error saving length limits:', error);
+    res.status(500).json({ error: 'Failed to save length limits' });
+  }
+});
+
+module.exports = router;
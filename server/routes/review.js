@@ -0,0 +1,202 @@
+const express = require('express');
+const { requireScope } = require('../auth');
+const db = require('../db');
+const { REVIEW_STATUSES, getAuthor, saveHumanTranslation, setReviewStatus } = require('../review');
+const { URL_MODES } = require('../render/locales');
+const qa = require('../qa');
+
+const router = express.Router();
+
+const findWebsiteById = db.prepare('SELECT id, source_language FROM websites WHERE id = ?');
+
+const findSegment = db.prepare(`
+  SELECT s.*, w.source_language
+  FROM segments s
+  JOIN websites w ON s.website_id = w.id
+  WHERE s.id = ?
+`);
+
+const findTranslation = db.prepare(`
+  SELECT * FROM translations WHERE segment_id = ? AND language = ?
+`);
+
+const findHistory = db.prepare(`
+  SELECT id, translated_text, review_status, author, created_at
+  FROM translation_history
+  WHERE translation_id = ?
+  ORDER BY id DESC
+`);
+
+const findApprovableTranslations = db.prepare(`
+  SELECT t.segment_id, t.translated_text, s.original_text
+  FROM translations t
+  JOIN segments s ON t.segment_id = s.id
+  WHERE s.website_id = ? AND t.language = ? AND t.status = 'translated'
+  AND t.review_status <> 'approved'
+`);
+
+const findPublishing = db.prepare('SELECT approved_only, url_mode FROM websites WHERE id = ?');
+
+const updatePublishing = db.prepare(`
+  UPDATE websites SET approved_only = @approvedOnly, url_mode = @urlMode WHERE id = @websiteId
+`);
+
+// Issues are only listed for the current text; a pending translation has yet to be checked
+function formatTranslation(segmentId, language) {
+  const translation = findTranslation.get(segmentId, language);
+  return translation && {
+    ...translation,
+    issues: translation.status === 'translated' ? qa.getIssues(translation.id) : [],
+    history: findHistory.all(translation.id)
+  };
+}
+
+// Translation of one segment in one language, with its QA issues and full edit history
+router.get('/segments/:segmentId/translations/:language', (req, res) => {
+  try {
+    const { segmentId, language } = req.params;
+    const translation = formatTranslation(segmentId, language);
+    if (!translation) {
+      return res.status(404).json({ error: 'Translation not found' });
+    }
+    res.json(translation);
+  } catch (error) {
+    console.error('Error fetching translation:', error);
+    res.status(500).json({ error: 'Failed to fetch translation' });
+  }
+});
+
+// Replace a translation with human-edited text; later translation runs keep it
+router.put('/segments/:segmentId/translations/:language', (req, res) => {
+  try {
+    const { segmentId, language } = req.params;
+    const { translatedText } = req.body;
+
+    if (typeof translatedText !== 'string' || !translatedText.trim()) {
+      return res.status(400).json({ error: 'Translated text is required' });
+    }
+
+    const segment = findSegment.get(segmentId);
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    if (language === segment.source_language) {
+      return res.status(400).json({ error: 'Cannot translate a segment into its source language' });
+    }
+
+    saveHumanTranslation(segment, language, translatedText, getAuthor(req));
+
+    res.json(formatTranslation(segment.id, language));
+  } catch (error) {
+    console.error('Error editing translation:', error);
+    res.status(500).json({ error: 'Failed to edit translation' });
+  }
+});
+
+// Mark a translation as machine, edited, reviewed or approved
+router.put('/segments/:segmentId/translations/:language/review-status', (req, res) => {
+  try {
+    const { segmentId, language } = req.params;
+    const { reviewStatus } = req.body;
+
+    if (!REVIEW_STATUSES.includes(reviewStatus)) {
+      return res.status(400).json({ error: `Review status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+
+    const segment = findSegment.get(segmentId);
+    const translation = segment && findTranslation.get(segment.id, language);
+    if (!translation || translation.status !== 'translated') {
+      return res.status(404).json({ error: 'Translated segment not found' });
+    }
+
+    setReviewStatus(segment, language, reviewStatus, translation.translated_text, getAuthor(req));
+
+    res.json(formatTranslation(segment.id, language));
+  } catch (error) {
+    console.error('Error updating review status:', error);
+    res.status(500).json({ error: 'Failed to update review status' });
+  }
+});
+
+// Approve every translated segment of a website in one language, or only `segmentIds`
+router.post('/websites/:websiteId/translations/approve', (req, res) => {
+  try {
+    const { language, segmentIds } = req.body;
+
+    if (!language) {
+      return res.status(400).json({ error: 'Language is required' });
+    }
+    if (segmentIds !== undefined && !Array.isArray(segmentIds)) {
+      return res.status(400).json({ error: 'Segment IDs must be a list' });
+    }
+
+    const website = findWebsiteById.get(req.params.websiteId);
+    if (!website) {
+      return res.status(404).json({ error: 'Website not found' });
+    }
+
+    const selected = segmentIds && new Set(segmentIds.map(Number));
+    const author = getAuthor(req);
+
+    const approved = db.transaction(() => {
+      const translations = findApprovableTranslations.all(website.id, language)
+        .filter(translation => !selected || selected.has(translation.segment_id));
+
+      translations.forEach(translation => {
+        const segment = {
+          id: translation.segment_id,
+          original_text: translation.original_text,
+          website_id: website.id,
+          source_language: website.source_language
+        };
+        setReviewStatus(segment, language, 'approved', translation.translated_text, author);
+      });
+      return translations.length;
+    })();
+
+    res.json({ message: 'Translations approved', approvedCount: approved });
+  } catch (error) {
+    console.error('Error approving translations:', error);
+    res.status(500).json({ error: 'Failed to approve translations' });
+  }
+});
+
+// Choose whether /view serves every translation or only approved ones, and whether
+// its URLs carry the language as ?lang= or as a path prefix. Omitted settings are kept.
+router.put('/websites/:websiteId/publishing', requireScope('admin'), (req, res) => {
+  try {
+    const { approvedOnly, urlMode } = req.body;
+
+    if (approvedOnly === undefined && urlMode === undefined) {
+      return res.status(400).json({ error: 'approvedOnly or urlMode is required' });
+    }
+    if (approvedOnly !== undefined && typeof approvedOnly !== 'boolean') {
+      return res.status(400).json({ error: 'approvedOnly must be true or false' });
+    }
+    if (urlMode !== undefined && !URL_MODES.includes(urlMode)) {
+      return res.status(400).json({ error: `urlMode must be one of: ${URL_MODES.join(', ')}` });
+    }
+
+    const current = findPublishing.get(req.params.websiteId);
+    if (!current) {
+      return res.status(404).json({ error: 'Website not found' });
+    }
+
+    const settings = {
+      approvedOnly: approvedOnly ?? Boolean(current.approved_only),
+      urlMode: urlMode ?? current.url_mode
+    };
+    updatePublishing.run({
+      websiteId: req.params.websiteId,
+      approvedOnly: settings.approvedOnly ? 1 : 0,
+      urlMode: settings.urlMode
+    });
+
+    res.json({ websiteId: Number(req.params.websiteId), ...settings });
+  } catch (error) {
+    console.error('Error updating publishing settings:', error);
+    res.status(500).json({ error: 'Failed to update publishing settings' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const { requireScope } = require('../auth');
+const db = require('../db');
+const { getSelectorRules, validateSelectors, saveSelectorRules } = require('../selectors');
+
+const router = express.Router();
+
+const findWebsiteById = db.prepare('SELECT id FROM websites WHERE id = ?');
+
+// CSS selectors limiting which parts of a website's pages are translated
+router.get('/websites/:websiteId/selectors', (req, res) => {
+  try {
+    const { websiteId } = req.params;
+    if (!findWebsiteById.get(websiteId)) {
+      return res.status(404).json({ error: 'Website not found' });
+    }
+
+    res.json(getSelectorRules(websiteId));
+  } catch (error) {
+    console.error('Error fetching selectors:', error);
+    res.status(500).json({ error: 'Failed to fetch selectors' });
+  }
+});
+
+// Replace the include and/or exclude selectors; a list left out is unchanged
+router.put('/websites/:websiteId/selectors', requireScope('admin'), (req, res) => {
+  try {
+    const { websiteId } = req.params;
+    if (!findWebsiteById.get(websiteId)) {
+      return res.status(404).json({ error: 'Website not found' });
+    }
+
+    const current = getSelectorRules(websiteId);
+    const { include = current.include, exclude = current.exclude } = req.body;
+
+    const error = validateSelectors(include, 'include') || validateSelectors(exclude, 'exclude');
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    saveSelectorRules(websiteId, { include, exclude });
+    res.json(getSelectorRules(websiteId));
+  } catch (error) {
+    console.error('Error saving selectors:', error);
+    res.status(500).json({ error: 'Failed to save selectors' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+const express = require('express');
+const db = require('../db');
+const {
+  validateSlug,
+  listSlugs,
+  saveSlug,
+  removeSlug,
+  generateSlugs
+} = require('../slugs');
+
+const router = express.Router();
+
+const findWebsiteById = db.prepare('SELECT id, domain, source_language FROM websites WHERE id = ?');
+
+function loadWebsite(req, res, next) {
+  const website = findWebsiteById.get(req.params.websiteId);
+  if (!website) {
+    return res.status(404).json({ error: 'Website not found' });
+  }
+  req.website = website;
+  next();
+}
+
+// Localized slugs of a website, optionally for one language
+router.get('/websites/:websiteId/slugs', loadWebsite, (req, res) => {
+  try {
+    res.json({ slugs: listSlugs(req.website.id, req.query.language || null) });
+  } catch (error) {
+    console.error('Error fetching slugs:', error);
+    res.status(500).json({ error: 'Failed to fetch slugs' });
+  }
+});
+
+// Set one page's slug: { path, language, slug }
+router.put('/websites/:websiteId/slugs', loadWebsite, (req, res) => {
+  try {
+    const { path, language, slug } = req.body;
+
+    if (!path || !language) {
+      return res.status(400).json({ error: 'Path and language are required' });
+    }
+    if (language === req.website.source_language) {
+      return res.status(400).json({ error: 'The source language keeps the original paths' });
+    }
+    const error = validateSlug(slug);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(saveSlug(req.website.id, path, language, slug));
+  } catch (error) {
+    if (error.message.startsWith('Slug ')) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error saving slug:', error);
+    res.status(500).json({ error: 'Failed to save slug' });
+  }
+});
+
+// Remove a page's slug: ?path=/about&language=fr. The old slug redirects to the page.
+router.delete('/websites/:websiteId/slugs', loadWebsite, (req, res) => {
+  try {
+    const { path, language } = req.query;
+    if (!path || !language) {
+      return res.status(400).json({ error: 'Path and language are required' });
+    }
+
+    if (!removeSlug(req.website.id, path, language)) {
+      return res.status(404).json({ error: 'Slug not found' });
+    }
+    res.json({ message: 'Slug removed' });
+  } catch (error) {
+    console.error('Error removing slug:', error);
+    res.status(500).json({ error: 'Failed to remove slug' });
+  }
+});
+
+// Machine-translate slugs for every fetched page: { language, overwrite }
+router.post('/websites/:websiteId/slugs/generate', loadWebsite, async (req, res) => {
+  try {
+    const { language, overwrite = false } = req.body;
+    if (!language || language === req.website.source_language) {
+      return res.status(400).json({ error: 'A target language is required' });
+    }
+
+    const slugs = await generateSlugs(req.website, language, { overwrite: Boolean(overwrite) });
+    res.json({ generated: slugs.length, slugs });
+  } catch (error) {
+    console.error('Error generating slugs:', error);
+    res.status(500).json({ error: 'Failed to generate slugs' });
+  }
+});
+
+module.exports = router;
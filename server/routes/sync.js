@@ -0,0 +1,129 @@
+const express = require('express');
+const { requireScope } = require('../auth');
+const db = require('../db');
+const { createJob } = require('../jobs');
+const { getOrigin } = require('../render');
+const { validatePublicUrl } = require('../fetcher');
+
+const router = express.Router();
+
+const findWebsiteById = db.prepare(`
+  SELECT id, domain, resync_interval_minutes, next_resync_at FROM websites WHERE id = ?
+`);
+
+const findSyncRuns = db.prepare(`
+  SELECT id, job_id, trigger, pages_count, new_count, unchanged_count, changed_count,
+    removed_count, translate_job_id, created_at
+  FROM sync_runs
+  WHERE website_id = ?
+  ORDER BY id DESC
+  LIMIT ?
+`);
+
+const findSyncRun = db.prepare('SELECT * FROM sync_runs WHERE id = ? AND website_id = ?');
+
+const updateSchedule = db.prepare(`
+  UPDATE websites
+  SET resync_interval_minutes = @intervalMinutes,
+    next_resync_at = CASE WHEN @intervalMinutes IS NULL THEN NULL
+      ELSE datetime('now', '+' || @intervalMinutes || ' minutes') END
+  WHERE id = @websiteId
+`);
+
+// Shortest interval between scheduled re-syncs of a website
+const MIN_INTERVAL_MINUTES = 5;
+
+function loadWebsite(req, res, next) {
+  const website = findWebsiteById.get(req.params.websiteId);
+  if (!website) {
+    return res.status(404).json({ error: 'Website not found' });
+  }
+  req.website = website;
+  next();
+}
+
+function formatSchedule(website) {
+  return {
+    intervalMinutes: website.resync_interval_minutes,
+    nextResyncAt: website.next_resync_at
+  };
+}
+
+// Fetch pages again and diff their segments: { pages?, translate?, url? }. Without
+// `pages` every page with stored segments is re-synced; `url` overrides the origin.
+router.post('/websites/:websiteId/resync', loadWebsite, async (req, res) => {
+  try {
+    const { pages, translate = true, url } = req.body;
+
+    if (pages !== undefined && (!Array.isArray(pages) || pages.some(page => typeof page !== 'string'))) {
+      return res.status(400).json({ error: 'pages must be an array of paths' });
+    }
+
+    const urlError = url ? await validatePublicUrl(url) : null;
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+
+    const baseUrl = url ? new URL(url).origin : getOrigin(req.website.domain);
+    const job = createJob('resync-website', {
+      websiteId: req.website.id,
+      params: { baseUrl, pages, translate: Boolean(translate), trigger: 'manual' }
+    });
+
+    res.status(202).json({ message: 'Website re-sync started', jobId: job.id });
+  } catch (error) {
+    console.error('Error starting re-sync:', error);
+    res.status(500).json({ error: 'Failed to start re-sync' });
+  }
+});
+
+// Change reports of recent re-sync runs, without their per-page details
+router.get('/websites/:websiteId/sync-runs', loadWebsite, (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 20, 200);
+    res.json({ syncRuns: findSyncRuns.all(req.website.id, limit) });
+  } catch (error) {
+    console.error('Error fetching sync runs:', error);
+    res.status(500).json({ error: 'Failed to fetch sync runs' });
+  }
+});
+
+// One run's report: new, changed and removed segments per page
+router.get('/websites/:websiteId/sync-runs/:runId', loadWebsite, (req, res) => {
+  try {
+    const run = findSyncRun.get(req.params.runId, req.website.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Sync run not found' });
+    }
+    res.json({ ...run, report: JSON.parse(run.report) });
+  } catch (error) {
+    console.error('Error fetching sync run:', error);
+    res.status(500).json({ error: 'Failed to fetch sync run' });
+  }
+});
+
+router.get('/websites/:websiteId/resync-schedule', loadWebsite, (req, res) => {
+  res.json(formatSchedule(req.website));
+});
+
+// Re-sync every `intervalMinutes`; null turns scheduled re-syncs off
+router.put('/websites/:websiteId/resync-schedule', requireScope('admin'), loadWebsite, (req, res) => {
+  try {
+    const { intervalMinutes = null } = req.body;
+
+    if (intervalMinutes !== null &&
+      (!Number.isInteger(intervalMinutes) || intervalMinutes < MIN_INTERVAL_MINUTES)) {
+      return res.status(400).json({
+        error: `intervalMinutes must be null or an integer of at least ${MIN_INTERVAL_MINUTES}`
+      });
+    }
+
+    updateSchedule.run({ websiteId: req.website.id, intervalMinutes });
+    res.json(formatSchedule(findWebsiteById.get(req.website.id)));
+  } catch (error) {
+    console.error('Error saving re-sync schedule:', error);
+    res.status(500).json({ error: 'Failed to save re-sync schedule' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,233 @@
+const express = require('express');
+const db = require('../db');
+const { FORMAT_NAMES, getFormat } = require('../formats');
+const { normalizeText } = require('../memory');
+const { getAuthor, saveHumanTranslation } = require('../review');
+const { parseFilters } = require('../utils/filters');
+
+const router = express.Router();
+
+const findWebsiteById = db.prepare('SELECT id, domain, source_language FROM websites WHERE id = ?');
+
+// `status` filters on either the translation status or the review status
+const findExportSegments = db.prepare(`
+  SELECT s.id, s.path, s.element_type, s.segment_type, s.context, s.original_text, t.translated_text,
+    COALESCE(t.status, 'pending') AS status,
+    COALESCE(t.review_status, 'machine') AS review_status
+  FROM segments s
+  LEFT JOIN translations t ON t.segment_id = s.id AND t.language = @language
+  WHERE s.website_id = @websiteId AND s.sync_status <> 'removed'
+  AND (@path IS NULL OR s.path = @path)
+  AND (@status IS NULL OR COALESCE(t.status, 'pending') = @status OR t.review_status = @status)
+  ORDER BY s.path, s.id
+`);
+
+// Segments no longer on their page (sync_status 'removed') are never imported into
+const findSegmentById = db.prepare(`
+  SELECT * FROM segments WHERE id = ? AND website_id = ? AND sync_status <> 'removed'
+`);
+
+const findSegmentsBySource = db.prepare(`
+  SELECT * FROM segments
+  WHERE website_id = @websiteId AND original_text = @source
+  AND (@path IS NULL OR path = @path) AND sync_status <> 'removed'
+`);
+
+const findTranslation = db.prepare(`
+  SELECT translated_text, review_status FROM translations WHERE segment_id = ? AND language = ?
+`);
+
+const HUMAN_REVIEW_STATUSES = ['edited', 'reviewed', 'approved'];
+
+function loadWebsite(req, res, next) {
+  const website = findWebsiteById.get(req.params.websiteId);
+  if (!website) {
+    return res.status(404).json({ error: 'Website not found' });
+  }
+  req.website = website;
+  next();
+}
+
+function sameText(a, b) {
+  return normalizeText(a) === normalizeText(b);
+}
+
+// Export a website's segments for one target language
+router.get('/websites/:websiteId/export', loadWebsite, (req, res) => {
+  try {
+    const { filters, error } = parseFilters(req.query, ['language', 'format', 'path', 'status']);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { language, path, status } = filters;
+    const format = filters.format || 'xliff12';
+    const { website } = req;
+
+    const exporter = getFormat(format);
+    if (!exporter) {
+      return res.status(400).json({ error: `Format must be one of: ${FORMAT_NAMES.join(', ')}` });
+    }
+    if (!language) {
+      return res.status(400).json({ error: 'Language is required' });
+    }
+
+    const units = findExportSegments.all({ websiteId: website.id, language, path, status }).map(row => ({
+      id: row.id,
+      path: row.path,
+      elementType: row.element_type,
+      segmentType: row.segment_type,
+      context: row.context,
+      source: row.original_text,
+      target: row.translated_text,
+      status: row.status,
+      reviewStatus: row.review_status
+    }));
+
+    const content = exporter.serialize(units, {
+      domain: website.domain,
+      sourceLanguage: website.source_language,
+      targetLanguage: language
+    });
+
+    const filename = `${website.domain}.${language}.${exporter.extension}`;
+    res.setHeader('Content-Type', `${exporter.contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(content);
+  } catch (error) {
+    console.error('Error exporting translations:', error);
+    res.status(500).json({ error: 'Failed to export translations' });
+  }
+});
+
+// Match an imported unit to segments: by id first, then by source text (and path)
+function matchSegments(website, unit) {
+  if (unit.id) {
+    const segment = findSegmentById.get(unit.id, website.id);
+    if (segment) return [segment];
+  }
+  if (unit.source) {
+    return findSegmentsBySource.all({ websiteId: website.id, source: unit.source, path: unit.path });
+  }
+  return [];
+}
+
+// Import a translated file. The body is the raw file content.
+// Query: format, language (unless the file names it), overwrite, dryRun.
+router.post(
+  '/websites/:websiteId/import',
+  express.text({ type: () => true, limit: '10mb' }),
+  loadWebsite,
+  (req, res) => {
+    try {
+      const { filters, error } = parseFilters(req.query, ['format', 'language', 'overwrite', 'dryRun']);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const { format, overwrite, dryRun } = filters;
+      const { website } = req;
+
+      const importer = getFormat(format);
+      if (!importer) {
+        return res.status(400).json({ error: `Format must be one of: ${FORMAT_NAMES.join(', ')}` });
+      }
+
+      // Any content type is read as text; the global JSON parser skips this route
+      const content = typeof req.body === 'string' ? req.body : '';
+      if (!content.trim()) {
+        return res.status(400).json({ error: 'File content is required' });
+      }
+
+      let parsed;
+      try {
+        parsed = importer.parse(content);
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid ${format} file: ${error.message}` });
+      }
+
+      const language = filters.language || parsed.targetLanguage;
+      if (!language) {
+        return res.status(400).json({ error: 'Language is required' });
+      }
+      if (filters.language && parsed.targetLanguage && filters.language !== parsed.targetLanguage) {
+        return res.status(400).json({
+          error: `File is for language ${parsed.targetLanguage}, not ${filters.language}`
+        });
+      }
+      if (language === website.source_language) {
+        return res.status(400).json({ error: 'Cannot import translations into the source language' });
+      }
+
+      const author = getAuthor(req);
+      const report = { language, imported: 0, unchanged: 0, skipped: 0, conflicts: [], errors: [] };
+      const updates = [];
+
+      parsed.units.forEach((unit, index) => {
+        const ref = unit.id ? `segment ${unit.id}` : `entry ${index + 1}`;
+
+        if (!unit.target || !unit.target.trim()) {
+          report.skipped++;
+          return;
+        }
+
+        const segments = matchSegments(website, unit);
+        if (!segments.length) {
+          report.errors.push({ ref, error: 'No matching segment' });
+          return;
+        }
+
+        segments.forEach(segment => {
+          if (unit.source && !sameText(unit.source, segment.original_text)) {
+            report.conflicts.push({
+              ref,
+              segmentId: segment.id,
+              reason: 'source-changed',
+              fileSource: unit.source,
+              currentSource: segment.original_text
+            });
+            return;
+          }
+
+          const existing = findTranslation.get(segment.id, language);
+          if (existing && existing.translated_text === unit.target) {
+            report.unchanged++;
+            return;
+          }
+
+          if (existing && HUMAN_REVIEW_STATUSES.includes(existing.review_status) && overwrite !== 'true') {
+            report.conflicts.push({
+              ref,
+              segmentId: segment.id,
+              reason: 'human-translation-exists',
+              reviewStatus: existing.review_status,
+              currentTarget: existing.translated_text,
+              fileTarget: unit.target
+            });
+            return;
+          }
+
+          updates.push({ segment, target: unit.target });
+        });
+      });
+
+      if (dryRun !== 'true') {
+        const segmentWebsite = { website_id: website.id, source_language: website.source_language };
+        db.transaction(() => {
+          updates.forEach(({ segment, target }) => {
+            saveHumanTranslation({ ...segment, ...segmentWebsite }, language, target, author);
+          });
+        })();
+      }
+
+      report.imported = updates.length;
+      report.dryRun = dryRun === 'true';
+      res.json(report);
+    } catch (error) {
+      console.error('Error importing translations:', error);
+      res.status(500).json({ error: 'Failed to import translations' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const db = require('../db');
+const { parseFilters } = require('../utils/filters');
+const { parsePagination, paginationInfo } = require('../utils/pagination');
+const { normalizePath } = require('../utils/paths');
+
+const router = express.Router();
+
+const SEARCH_FIELDS = ['all', 'source', 'target'];
+
+// One row per segment and translation. With `language`, segments not yet translated into
+// it are listed as 'pending'; without, every stored translation is listed, plus segments
+// with none. `status` matches the translation status or the review status. `query` is an
+// FTS5 query against the plain source (segments_search) and/or translated text.
+const FILTERS = `
+  FROM segments s
+  LEFT JOIN translations t ON t.segment_id = s.id AND (@language IS NULL OR t.language = @language)
+  WHERE s.website_id = @websiteId AND s.sync_status <> 'removed'
+  AND (@path IS NULL OR s.path = @path)
+  AND (@elementType IS NULL OR s.element_type = @elementType)
+  AND (@status IS NULL OR COALESCE(t.status, 'pending') = @status OR t.review_status = @status)
+  AND (@query IS NULL
+    OR (@searchIn <> 'target' AND s.id IN (
+      SELECT rowid FROM segments_search WHERE segments_search MATCH @query))
+    OR (@searchIn <> 'source' AND t.id IN (
+      SELECT rowid FROM translations_search WHERE translations_search MATCH @query)))
+`;
+
+const findTranslations = db.prepare(`
+  SELECT s.id AS segment_id, s.path, s.element_type, s.segment_type, s.original_text,
+    COALESCE(t.language, @language) AS language, t.id AS translation_id, t.translated_text,
+    COALESCE(t.status, 'pending') AS status, COALESCE(t.review_status, 'machine') AS review_status,
+    t.error, t.updated_by, t.updated_at
+  ${FILTERS}
+  ORDER BY s.path, s.position, s.id, t.language
+  LIMIT @limit OFFSET @offset
+`);
+
+const countTranslations = db.prepare(`SELECT COUNT(*) AS count ${FILTERS}`);
+
+// Words of a search as an FTS5 query matching all of them as prefixes:
+// 'sign up' -> '"sign"* "up"*'. Returns null when there is nothing to search for.
+function toSearchQuery(text) {
+  const terms = String(text || '').split(/\s+/)
+    .map(term => term.replace(/"/g, ''))
+    .filter(Boolean);
+  return terms.length ? terms.map(term => `"${term}"*`).join(' ') : null;
+}
+
+// Paginated translations of a website:
+// ?language=fr&path=/about&elementType=p&status=failed&q=sign%20up&searchIn=target&page=2
+router.get('/websites/:websiteId/translations', (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const parsed = parseFilters(req.query, ['language', 'path', 'elementType', 'status', 'q', 'searchIn']);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const { language, path, elementType, status, q } = parsed.filters;
+    const searchIn = parsed.filters.searchIn || 'all';
+    if (!SEARCH_FIELDS.includes(searchIn)) {
+      return res.status(400).json({ error: `searchIn must be one of: ${SEARCH_FIELDS.join(', ')}` });
+    }
+
+    const filters = {
+      websiteId: Number(req.params.websiteId),
+      language,
+      path: path ? normalizePath(path) : null,
+      elementType,
+      status,
+      query: toSearchQuery(q),
+      searchIn
+    };
+    const total = countTranslations.get(filters).count;
+
+    res.json({
+      translations: findTranslations.all({ ...filters, limit: pagination.limit, offset: pagination.offset }),
+      pagination: paginationInfo(pagination, total)
+    });
+  } catch (error) {
+    console.error('Error fetching translations:', error);
+    res.status(500).json({ error: 'Failed to fetch translations' });
+  }
+});
+
+module.exports = router;
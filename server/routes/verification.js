@@ -0,0 +1,37 @@
+const express = require('express');
+const { VERIFICATION_METHODS, getVerification, verifyDomain } = require('../verification');
+const { requireScope } = require('../auth');
+
+const router = express.Router();
+
+// Whether the website's domain is verified, and how to verify it
+router.get('/websites/:websiteId/verification', (req, res) => {
+  try {
+    res.json(getVerification(req.params.websiteId));
+  } catch (error) {
+    console.error('Error fetching verification:', error);
+    res.status(500).json({ error: 'Failed to fetch verification' });
+  }
+});
+
+// Check the domain for the token: { method: 'meta' | 'file' }
+router.post('/websites/:websiteId/verification', requireScope('admin'), async (req, res) => {
+  try {
+    const { method = 'meta' } = req.body;
+    if (!VERIFICATION_METHODS.includes(method)) {
+      return res.status(400).json({ error: `method must be one of: ${VERIFICATION_METHODS.join(', ')}` });
+    }
+
+    const { verified, error } = await verifyDomain(req.params.websiteId, method);
+    if (!verified) {
+      return res.status(422).json({ error, verification: getVerification(req.params.websiteId) });
+    }
+
+    res.json(getVerification(req.params.websiteId));
+  } catch (error) {
+    console.error('Error verifying domain:', error);
+    res.status(500).json({ error: 'Failed to verify domain' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const express = require('express');
+const db = require('../db');
+const { renderPage } = require('../render');
+const { sendErrorPage } = require('../render/errors');
+const { resolveViewPath, localizedUrl } = require('../render/locales');
+const { sitemapIndex, languageSitemap } = require('../render/sitemap');
+const { normalizePath } = require('../utils/paths');
+
+const router = express.Router();
+
+// Only websites whose domain ownership is verified are published (see verification.js)
+const findWebsite = db.prepare(`
+  SELECT id, domain, source_language, url_mode FROM websites
+  WHERE domain = ? AND verified_at IS NOT NULL
+`);
+
+// Form submissions are forwarded to the original site as they were sent
+const rawBody = express.raw({ type: () => true, limit: '1mb' });
+
+function getProxyBase(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+// The query string as the visitor sent it, without the lang parameter. Taken from the
+// raw URL, as req.query has already folded repeated (?a=1&a=2) and nested (?a[b]=1)
+// parameters into arrays and objects that would not survive being turned back.
+function stripLangParam(originalUrl) {
+  const queryStart = originalUrl.indexOf('?');
+  if (queryStart === -1) return '';
+  return originalUrl.slice(queryStart + 1)
+    .split('&')
+    .filter(param => param && param.split('=')[0] !== 'lang')
+    .join('&');
+}
+
+// Serve a translated copy of a page: /view/:domain/some/path?lang=fr, or
+// /view/:domain/fr/some/path for websites using language prefixes
+async function viewPage(req, res) {
+  try {
+    const { domain } = req.params;
+    const website = findWebsite.get(domain);
+    if (!website) {
+      return res.status(404).send('Website not found');
+    }
+
+    const { language, path, redirectTo } = resolveViewPath(website, normalizePath(req.params[0]), req.query.lang);
+    const search = stripLangParam(req.originalUrl);
+
+    // Replaced slugs move permanently to the page's current URL
+    if (redirectTo) {
+      return res.redirect(301, localizedUrl({
+        proxyBase: getProxyBase(req),
+        website,
+        language,
+        pathname: redirectTo,
+        search: search ? `?${search}` : ''
+      }));
+    }
+
+    const { html, etag, cacheControl } = await renderPage({
+      website,
+      path,
+      search: search ? `?${search}` : '',
+      language,
+      proxyBase: getProxyBase(req),
+      request: req.method === 'POST'
+        ? { method: 'POST', data: req.body, contentType: req.get('content-type') }
+        : undefined
+    });
+
+    // With an ETag set, res.send answers a matching If-None-Match with 304
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Cache-Control', cacheControl);
+    if (etag) res.setHeader('ETag', etag);
+    res.send(html);
+  } catch (error) {
+    console.error('View endpoint error:', error.message);
+    sendErrorPage(res, error);
+  }
+}
+
+// Sitemap index, linking one sitemap per language
+router.get('/:domain/sitemap.xml', (req, res) => {
+  try {
+    const website = findWebsite.get(req.params.domain);
+    if (!website) {
+      return res.status(404).send('Website not found');
+    }
+
+    res.type('application/xml').send(sitemapIndex(website, getProxyBase(req)));
+  } catch (error) {
+    console.error('Sitemap error:', error);
+    res.status(500).send('Failed to build sitemap');
+  }
+});
+
+router.get('/:domain/sitemaps/:language.xml', (req, res) => {
+  try {
+    const website = findWebsite.get(req.params.domain);
+    if (!website) {
+      return res.status(404).send('Website not found');
+    }
+
+    const sitemap = languageSitemap(website, req.params.language, getProxyBase(req));
+    if (!sitemap) {
+      return res.status(404).send('Language not published');
+    }
+
+    res.type('application/xml').send(sitemap);
+  } catch (error) {
+    console.error('Sitemap error:', error);
+    res.status(500).send('Failed to build sitemap');
+  }
+});
+
+router.get('/:domain', viewPage);
+router.get('/:domain/*', viewPage);
+router.post('/:domain', rawBody, viewPage);
+router.post('/:domain/*', rawBody, viewPage);
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const db = require('../db');
+const { requireScope } = require('../auth');
+const { validatePublicUrl } = require('../fetcher');
+const {
+  validateDomain,
+  validateSourceLanguage,
+  createWebsite,
+  findUserWebsiteByDomain,
+  getWebsite,
+  updateWebsite,
+  hasActiveJobs,
+  deleteWebsite
+} = require('../websites');
+
+const router = express.Router();
+
+const findWebsites = db.prepare('SELECT * FROM websites WHERE user_id = ? ORDER BY created_at DESC');
+
+// Returns an error message for the domain and source language being set, or null
+async function validateWebsite({ domain, sourceLanguage }) {
+  if (domain !== undefined) {
+    const error = validateDomain(domain) || await validatePublicUrl(`http://${domain}/`);
+    if (error) return error;
+  }
+  if (sourceLanguage !== undefined) {
+    return validateSourceLanguage(sourceLanguage);
+  }
+  return null;
+}
+
+// The user's websites, newest first
+router.get('/websites', (req, res) => {
+  try {
+    res.json(findWebsites.all(req.user.id));
+  } catch (error) {
+    console.error('Error fetching websites:', error);
+    res.status(500).json({ error: 'Failed to fetch websites' });
+  }
+});
+
+// Register a website without fetching anything: { domain, sourceLanguage? }
+router.post('/websites', async (req, res) => {
+  try {
+    const { domain, sourceLanguage = 'en' } = req.body;
+
+    const error = await validateWebsite({ domain: domain || '', sourceLanguage });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (findUserWebsiteByDomain(domain.toLowerCase(), req.user.id)) {
+      return res.status(409).json({ error: 'You already have a website for this domain' });
+    }
+
+    const website = createWebsite({ domain, userId: req.user.id, sourceLanguage });
+    res.status(201).json(getWebsite(website.id, req.user.id));
+  } catch (error) {
+    console.error('Error creating website:', error);
+    res.status(500).json({ error: 'Failed to create website' });
+  }
+});
+
+// A website with its page and segment counts and translated languages
+router.get('/websites/:websiteId', (req, res) => {
+  try {
+    res.json(getWebsite(req.params.websiteId, req.user.id));
+  } catch (error) {
+    console.error('Error fetching website:', error);
+    res.status(500).json({ error: 'Failed to fetch website' });
+  }
+});
+
+// Rename or re-point a website: { domain?, sourceLanguage? }. A new domain has to be
+// verified again before the website is published.
+router.patch('/websites/:websiteId', requireScope('admin'), async (req, res) => {
+  try {
+    const { domain, sourceLanguage } = req.body;
+
+    const error = await validateWebsite({ domain, sourceLanguage });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const website = updateWebsite(req.params.websiteId, req.user.id, { domain, sourceLanguage });
+    if (website === 'exists') {
+      return res.status(409).json({ error: 'You already have a website for this domain' });
+    }
+    res.json(website);
+  } catch (error) {
+    console.error('Error updating website:', error);
+    res.status(500).json({ error: 'Failed to update website' });
+  }
+});
+
+// Delete a website and everything stored for it
+router.delete('/websites/:websiteId', requireScope('admin'), (req, res) => {
+  try {
+    if (hasActiveJobs(req.params.websiteId)) {
+      return res.status(409).json({ error: 'Cancel or wait for the website\'s running jobs first' });
+    }
+
+    deleteWebsite(req.params.websiteId, req.user.id);
+    res.json({ message: 'Website deleted' });
+  } catch (error) {
+    console.error('Error deleting website:', error);
+    res.status(500).json({ error: 'Failed to delete website' });
+  }
+});
+
+module.exports = router;
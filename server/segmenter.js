@@ -0,0 +1,396 @@
+const cheerio = require('cheerio');
+
+// Splits a page into translatable segments, one per run of inline content inside a
+// block-level element, plus one per translatable attribute or metadata value.
+// Inline elements inside a run become numbered placeholders: <gN>...</gN> for
+// elements with content and <xN/> for void and untranslatable elements, so
+//   <p>We build <strong>great</strong> tools<br>for teams.</p>
+// becomes the segment "We build <g1>great</g1> tools<x2/>for teams.".
+// Segment text is HTML-escaped (&amp; &lt; &gt;) so placeholders are unambiguous.
+// When a translation is rendered, each placeholder is rebuilt into the element it
+// came from on the live page.
+//
+// Every segment has a `position`: an XPath-like path to its element, e.g.
+// /html[1]/body[1]/p[2]#1 for the first run of text in the second <p>, or
+// /html[1]/body[1]/img[1]@alt for an attribute. Together with a hash of its text this
+// identifies the segment when the page is rendered again.
+//
+// Content marked translate="no", class="notranslate" or data-no-translate is left
+// alone, as is anything matching a website's exclude selectors. When include
+// selectors are given, only content inside matching elements is translated.
+
+const INLINE_ELEMENTS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'font',
+  'i', 'ins', 'kbd', 'label', 'mark', 'q', 's', 'samp', 'small', 'span', 'strong',
+  'sub', 'sup', 'time', 'u', 'var'
+]);
+
+const VOID_INLINE_ELEMENTS = new Set(['br', 'img', 'input', 'wbr']);
+
+// Never segmented, and their content is never walked
+const SKIPPED_ELEMENTS = new Set([
+  'script', 'style', 'noscript', 'template', 'svg', 'math', 'iframe', 'object',
+  'canvas', 'video', 'audio', 'select', 'textarea', 'head'
+]);
+
+const NO_TRANSLATE_SELECTOR = '[translate="no" i], .notranslate, [data-no-translate]';
+
+const PLACEHOLDER_PATTERN = /<(\/?)([gx])(\d+)(\/?)>/g;
+
+// Attributes holding visible, accessibility or SEO text
+const TRANSLATABLE_ATTRIBUTES = [
+  { selector: 'img[alt], area[alt], input[type="image"][alt]', attribute: 'alt' },
+  { selector: '[title]', attribute: 'title' },
+  { selector: 'input[placeholder], textarea[placeholder]', attribute: 'placeholder' },
+  { selector: '[aria-label]', attribute: 'aria-label' },
+  { selector: 'button[value], input[type="submit"][value], input[type="button"][value], input[type="reset"][value]', attribute: 'value' }
+];
+
+// Meta tags whose content is translated, keyed by their name or property
+const TRANSLATABLE_META = [
+  'description', 'keywords',
+  'og:title', 'og:description', 'og:site_name', 'og:image:alt',
+  'twitter:title', 'twitter:description', 'twitter:image:alt'
+];
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+function isElement(node) {
+  return node.type === 'tag' || node.type === 'script' || node.type === 'style';
+}
+
+function nodePath(node) {
+  const steps = [];
+  for (let current = node; current && isElement(current); current = current.parent) {
+    const siblings = current.parent
+      ? current.parent.children.filter(sibling => isElement(sibling) && sibling.name === current.name)
+      : [current];
+    steps.unshift(`${current.name}[${siblings.indexOf(current) + 1}]`);
+  }
+  return `/${steps.join('/')}`;
+}
+
+// Which elements may be translated, from the built-in markers and a website's
+// { include, exclude } selector lists
+function createScope($, { include = [], exclude = [] } = {}) {
+  const excluded = new Set($([NO_TRANSLATE_SELECTOR, ...exclude].join(', ')).get());
+  const included = include.length ? new Set($(include.join(', ')).get()) : null;
+
+  const matchesSelfOrAncestor = (node, set) => {
+    for (let current = node; current; current = current.parent) {
+      if (set.has(current)) return true;
+    }
+    return false;
+  };
+
+  const scope = {
+    isExcluded: node => excluded.has(node),
+    isIncluded: node => !included || included.has(node),
+    isInsideExcluded: node => matchesSelfOrAncestor(node, excluded),
+    isInsideIncluded: node => !included || matchesSelfOrAncestor(node, included)
+  };
+  scope.isTranslatable = node => !scope.isInsideExcluded(node) && scope.isInsideIncluded(node);
+  return scope;
+}
+
+function isInline(node) {
+  if (node.type === 'text' || node.type === 'comment') return true;
+  if (!isElement(node)) return false;
+  if (VOID_INLINE_ELEMENTS.has(node.name)) return true;
+  // An inline element that wraps blocks (e.g. a card link) is walked like a block
+  return INLINE_ELEMENTS.has(node.name) && node.children.every(isInline);
+}
+
+// Elements rendered as <xN/>: void elements, and elements kept untranslated
+function isAtomic(node, scope) {
+  return VOID_INLINE_ELEMENTS.has(node.name) || scope.isExcluded(node);
+}
+
+function hasText(nodes, scope) {
+  return nodes.some(node => (
+    (node.type === 'text' && node.data.trim()) ||
+    (isElement(node) && !isAtomic(node, scope) && hasText(node.children, scope))
+  ));
+}
+
+function isBoundaryNode(node, scope) {
+  return (node.type === 'text' && !node.data.trim()) ||
+    node.type === 'comment' ||
+    (isElement(node) && isAtomic(node, scope));
+}
+
+// Leave images, line breaks and whitespace at either end of a run out of the segment,
+// then descend through elements that wrap the entire run, e.g. <li><a>Home</a></li>,
+// so the segment is "Home" rather than "<g1>Home</g1>"
+function unwrapRun(nodes, container, scope) {
+  let start = 0;
+  let end = nodes.length;
+  while (start < end && isBoundaryNode(nodes[start], scope)) start++;
+  while (end > start && isBoundaryNode(nodes[end - 1], scope)) end--;
+
+  const trimmed = nodes.slice(start, end);
+  if (trimmed.length === 1 && isElement(trimmed[0])) {
+    return unwrapRun(trimmed[0].children, trimmed[0], scope);
+  }
+  return { nodes: trimmed, container };
+}
+
+// Placeholders are { node, html }: untranslated elements keep their whole markup in
+// `html`, other elements are rebuilt from their tag when rendered
+function encodeNodes($, nodes, placeholders, scope) {
+  return nodes.map(node => {
+    if (node.type === 'text') return escapeText(node.data);
+    if (!isElement(node)) return '';
+
+    const excluded = scope.isExcluded(node);
+    placeholders.push({ node, html: excluded ? $.html(node) : null });
+    const id = placeholders.length;
+    if (excluded || VOID_INLINE_ELEMENTS.has(node.name)) return `<x${id}/>`;
+    return `<g${id}>${encodeNodes($, node.children, placeholders, scope)}</g${id}>`;
+  }).join('');
+}
+
+// A run made only of sibling elements separated by whitespace, such as a row of
+// navigation links, is a list of separate items rather than one sentence
+function splitRun(nodes, scope) {
+  const hasDirectText = nodes.some(node => node.type === 'text' && node.data.trim());
+  const items = nodes.filter(node => isElement(node) && !isAtomic(node, scope));
+  return !hasDirectText && items.length > 1 ? items.map(item => [item]) : [nodes];
+}
+
+function createSegment($, nodes, parent, scope) {
+  if (!hasText(nodes, scope)) return null;
+
+  const run = unwrapRun(nodes, parent, scope);
+  const placeholders = [];
+  const text = encodeNodes($, run.nodes, placeholders, scope).replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+
+  return {
+    segmentType: 'text',
+    text,
+    elementType: run.container.name || 'body',
+    context: '',
+    container: run.container,
+    nodes: run.nodes,
+    placeholders
+  };
+}
+
+function isInsideSkippedElement(element) {
+  for (let node = element.parent; node; node = node.parent) {
+    if (isElement(node) && node.name !== 'head' && SKIPPED_ELEMENTS.has(node.name)) return true;
+  }
+  return false;
+}
+
+function createValueSegment(segmentType, element, context, value) {
+  const text = escapeText(value.replace(/\s+/g, ' ').trim());
+  if (!text) return null;
+  const attribute = { title: '', meta: '@content' }[segmentType] ?? `@${context}`;
+  const position = nodePath(element) + attribute;
+  return { segmentType, text, elementType: element.name, context, position, element };
+}
+
+// The page title, translatable meta tags and attributes, in that order
+function collectAttributeSegments($, scope) {
+  const segments = [];
+  const add = segment => segment && scope.isTranslatable(segment.element) && segments.push(segment);
+
+  const title = $('head title').get(0);
+  if (title) {
+    add(createValueSegment('title', title, '', $(title).text()));
+  }
+
+  $('meta[content]').each((i, el) => {
+    const key = $(el).attr('name') || $(el).attr('property');
+    if (key && TRANSLATABLE_META.includes(key.toLowerCase())) {
+      add(createValueSegment('meta', el, key.toLowerCase(), $(el).attr('content')));
+    }
+  });
+
+  TRANSLATABLE_ATTRIBUTES.forEach(({ selector, attribute }) => {
+    $(selector).each((i, el) => {
+      if (el.name === 'meta' || isInsideSkippedElement(el)) return;
+      add(createValueSegment('attribute', el, attribute, $(el).attr(attribute)));
+    });
+  });
+
+  return segments;
+}
+
+// All segments of a loaded cheerio document: metadata and attribute segments first,
+// then text segments in document order. `rules` are a website's { include, exclude }
+// selectors.
+function segmentDocument($, rules) {
+  const scope = createScope($, rules);
+  const segments = collectAttributeSegments($, scope);
+  const runsPerContainer = new Map();
+
+  const addTextSegment = segment => {
+    const index = (runsPerContainer.get(segment.container) || 0) + 1;
+    runsPerContainer.set(segment.container, index);
+    segments.push({ ...segment, position: `${nodePath(segment.container)}#${index}` });
+  };
+
+  // `included` is true once inside an element matching the include selectors
+  function walk(element, included) {
+    let run = [];
+    const flush = () => {
+      if (included) {
+        splitRun(run, scope).forEach(nodes => {
+          const segment = createSegment($, nodes, element, scope);
+          if (segment) addTextSegment(segment);
+        });
+      }
+      run = [];
+    };
+
+    for (const child of [...element.children]) {
+      if (isInline(child)) {
+        run.push(child);
+        continue;
+      }
+
+      flush();
+      if (isElement(child) && !SKIPPED_ELEMENTS.has(child.name) && !scope.isExcluded(child)) {
+        walk(child, included || scope.isIncluded(child));
+      }
+    }
+    flush();
+  }
+
+  const root = ($('body').length ? $('body') : $.root()).get(0);
+  if (!scope.isInsideExcluded(root)) {
+    walk(root, scope.isInsideIncluded(root));
+  }
+  return segments;
+}
+
+function openingTag(element) {
+  const attributes = Object.entries(element.attribs || {})
+    .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+    .join('');
+  return `<${element.name}${attributes}>`;
+}
+
+// Placeholders must reference known elements and <gN> pairs must nest properly
+function hasValidPlaceholders(text, placeholders) {
+  const open = [];
+  for (const [, closing, kind, id, selfClosing] of text.matchAll(PLACEHOLDER_PATTERN)) {
+    const placeholder = placeholders[Number(id) - 1];
+    if (!placeholder) return false;
+
+    const atomic = placeholder.html !== null || VOID_INLINE_ELEMENTS.has(placeholder.node.name);
+    if (kind === 'x') {
+      if (closing || !selfClosing || !atomic) return false;
+    } else if (closing) {
+      if (open.pop() !== id) return false;
+    } else {
+      if (selfClosing || atomic) return false;
+      open.push(id);
+    }
+  }
+  return open.length === 0;
+}
+
+function stripPlaceholders(text) {
+  return text.replace(PLACEHOLDER_PATTERN, '');
+}
+
+// HTML for a translated segment, with every placeholder turned back into its element.
+// Stray markup from the provider is escaped; if the placeholders don't match the
+// source the text is rendered without inline markup rather than as broken HTML.
+function buildSegmentHtml(translatedText, placeholders) {
+  const useMarkup = hasValidPlaceholders(translatedText, placeholders);
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of translatedText.matchAll(PLACEHOLDER_PATTERN)) {
+    parts.push(translatedText.slice(lastIndex, match.index).replace(/</g, '&lt;'));
+    lastIndex = match.index + match[0].length;
+
+    if (!useMarkup) continue;
+
+    const [, closing, kind, id] = match;
+    const { node, html } = placeholders[Number(id) - 1];
+    if (kind === 'x') {
+      parts.push(html !== null ? html : openingTag(node));
+    } else {
+      parts.push(closing ? `</${node.name}>` : openingTag(node));
+    }
+  }
+  parts.push(translatedText.slice(lastIndex).replace(/</g, '&lt;'));
+
+  return parts.join('');
+}
+
+// Plain text of a translated segment, for attributes and <title>
+function decodeSegmentText(translatedText) {
+  return cheerio.load(stripPlaceholders(translatedText).replace(/</g, '&lt;'), null, false).text();
+}
+
+function renderValueSegment($, segment, translatedText) {
+  const value = decodeSegmentText(translatedText);
+  if (segment.segmentType === 'title') {
+    $(segment.element).text(value);
+  } else if (segment.segmentType === 'meta') {
+    $(segment.element).attr('content', value);
+  } else {
+    $(segment.element).attr(segment.context, value);
+  }
+}
+
+// Replace a segment's nodes with its translation, keeping surrounding whitespace
+function renderSegment($, segment, translatedText) {
+  if (segment.segmentType !== 'text') {
+    renderValueSegment($, segment, translatedText);
+    return;
+  }
+
+  const { nodes } = segment;
+  const first = nodes[0];
+  const last = nodes[nodes.length - 1];
+  const leading = first.type === 'text' ? first.data.match(/^\s*/)[0] : '';
+  const trailing = last.type === 'text' ? last.data.match(/\s*$/)[0] : '';
+
+  const html = escapeText(leading) + buildSegmentHtml(translatedText, segment.placeholders) + escapeText(trailing);
+  // before() skips text nodes, but replaceWith() handles them
+  nodes.slice(1).forEach(node => $(node).remove());
+  $(first).replaceWith(html);
+}
+
+// Translate a loaded document in place. `lookup(segment)` returns the translated
+// text for a segment, or nothing to leave it unchanged.
+// Attribute segments are applied before text segments, because rebuilding inline
+// markup copies the current attributes of each placeholder element.
+function applyTranslations($, lookup, rules) {
+  let applied = 0;
+
+  segmentDocument($, rules).forEach(segment => {
+    const translatedText = lookup(segment);
+    if (translatedText) {
+      renderSegment($, segment, translatedText);
+      applied++;
+    }
+  });
+
+  return applied;
+}
+
+module.exports = {
+  PLACEHOLDER_PATTERN,
+  escapeText,
+  decodeSegmentText,
+  segmentDocument,
+  hasValidPlaceholders,
+  stripPlaceholders,
+  buildSegmentHtml,
+  applyTranslations
+};
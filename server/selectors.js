@@ -0,0 +1,52 @@
+const cheerio = require('cheerio');
+const db = require('./db');
+
+// Per-website include/exclude selectors, passed to the segmenter as
+// { include, exclude } when pages are fetched and rendered
+
+const findSelectors = db.prepare(`
+  SELECT include_selectors, exclude_selectors FROM websites WHERE id = ?
+`);
+
+const updateSelectors = db.prepare(`
+  UPDATE websites SET include_selectors = @include, exclude_selectors = @exclude
+  WHERE id = @websiteId
+`);
+
+const $empty = cheerio.load('');
+
+function getSelectorRules(websiteId) {
+  const row = findSelectors.get(websiteId);
+  if (!row) return { include: [], exclude: [] };
+
+  return {
+    include: JSON.parse(row.include_selectors),
+    exclude: JSON.parse(row.exclude_selectors)
+  };
+}
+
+// Returns an error message, or null if every selector is usable
+function validateSelectors(selectors, name) {
+  if (!Array.isArray(selectors) || selectors.some(s => typeof s !== 'string' || !s.trim())) {
+    return `${name} must be an array of CSS selectors`;
+  }
+
+  for (const selector of selectors) {
+    try {
+      $empty(selector);
+    } catch (error) {
+      return `Invalid selector in ${name}: ${selector}`;
+    }
+  }
+  return null;
+}
+
+function saveSelectorRules(websiteId, { include, exclude }) {
+  return updateSelectors.run({
+    websiteId,
+    include: JSON.stringify(include.map(s => s.trim())),
+    exclude: JSON.stringify(exclude.map(s => s.trim()))
+  }).changes > 0;
+}
+
+module.exports = { getSelectorRules, validateSelectors, saveSelectorRules };
@@ -0,0 +1,222 @@
+const db = require('./db');
+const { translateTexts } = require('./translator');
+const { decodeSegmentText } = require('./segmenter');
+const { normalizePath } = require('./utils/paths');
+
+// Localized paths per page and language. A page without a slug keeps its original
+// path in every language.
+
+const findSlug = db.prepare(`
+  SELECT slug FROM page_slugs WHERE website_id = ? AND path = ? AND language = ?
+`);
+
+const findPathBySlug = db.prepare(`
+  SELECT path FROM page_slugs WHERE website_id = ? AND language = ? AND slug = ?
+`);
+
+const findRedirect = db.prepare(`
+  SELECT path FROM slug_redirects WHERE website_id = ? AND language = ? AND old_slug = ?
+`);
+
+const findSlugs = db.prepare(`
+  SELECT path, language, slug, updated_at FROM page_slugs
+  WHERE website_id = ? AND (? IS NULL OR language = ?)
+  ORDER BY language, path
+`);
+
+// Pages found by the crawler and pages with stored segments
+const findPagePaths = db.prepare(`
+  SELECT path FROM crawled_pages WHERE website_id = @websiteId
+  UNION
+  SELECT path FROM segments WHERE website_id = @websiteId AND sync_status <> 'removed'
+  ORDER BY path
+`);
+
+const findPagePath = db.prepare(`
+  SELECT path FROM crawled_pages WHERE website_id = @websiteId AND path = @path
+  UNION
+  SELECT path FROM segments
+  WHERE website_id = @websiteId AND path = @path AND sync_status <> 'removed'
+`);
+
+const upsertSlug = db.prepare(`
+  INSERT INTO page_slugs (website_id, path, language, slug, updated_at)
+  VALUES (@websiteId, @path, @language, @slug, datetime('now'))
+  ON CONFLICT (website_id, path, language) DO UPDATE SET
+    slug = excluded.slug,
+    updated_at = excluded.updated_at
+`);
+
+const deleteSlug = db.prepare(`
+  DELETE FROM page_slugs WHERE website_id = ? AND path = ? AND language = ?
+`);
+
+// An old slug always redirects to the page it last belonged to
+const upsertRedirect = db.prepare(`
+  INSERT INTO slug_redirects (website_id, language, old_slug, path)
+  VALUES (@websiteId, @language, @oldSlug, @path)
+  ON CONFLICT (website_id, language, old_slug) DO UPDATE SET path = excluded.path
+`);
+
+const deleteRedirect = db.prepare(`
+  DELETE FROM slug_redirects WHERE website_id = ? AND language = ? AND old_slug = ?
+`);
+
+// "Qui sommes-nous ?" -> "qui-sommes-nous"; accents are dropped
+function slugify(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Returns an error message, or null for a usable localized path
+function validateSlug(slug) {
+  if (typeof slug !== 'string' || !slug.startsWith('/')) {
+    return 'Slug must be a path starting with /';
+  }
+  if (/[?#\s]/.test(slug) || slug.split('/').some(part => part === '.' || part === '..')) {
+    return 'Slug must not contain spaces, query strings, fragments or dot segments';
+  }
+  return null;
+}
+
+function getSlug(websiteId, path, language) {
+  return findSlug.get(websiteId, path, language)?.slug || null;
+}
+
+// The localized path of a page, or its original path when it has no slug
+function localizePath(websiteId, path, language) {
+  return getSlug(websiteId, path, language) || path;
+}
+
+// Resolve a requested path in `language`: { path } for a current slug or an unlocalized
+// path, { redirectTo } for a replaced slug
+function resolveSlug(websiteId, requestedPath, language) {
+  const current = findPathBySlug.get(websiteId, language, requestedPath);
+  if (current) return { path: current.path };
+
+  const redirect = findRedirect.get(websiteId, language, requestedPath);
+  if (redirect) return { redirectTo: redirect.path };
+
+  return { path: requestedPath };
+}
+
+function listSlugs(websiteId, language = null) {
+  return findSlugs.all(websiteId, language, language);
+}
+
+// Whether `slug` is taken by a page other than `pagePath`: as another page's slug in
+// the same language, or as another page's original path, which the slug would hide
+function findSlugConflict(websiteId, pagePath, language, slug) {
+  const owner = findPathBySlug.get(websiteId, language, slug);
+  if (owner && owner.path !== pagePath) {
+    return `Slug ${slug} is already used by ${owner.path}`;
+  }
+  if (slug !== pagePath && findPagePath.get({ websiteId, path: slug })) {
+    return `Slug ${slug} is the path of another page`;
+  }
+  return null;
+}
+
+// Set a page's slug. The previous slug redirects to the page from now on.
+// Throws if the slug is another page's slug in the same language or another page's path.
+function saveSlug(websiteId, path, language, slug) {
+  const pagePath = normalizePath(path);
+  const newSlug = normalizePath(slug);
+
+  db.transaction(() => {
+    const conflict = findSlugConflict(websiteId, pagePath, language, newSlug);
+    if (conflict) {
+      throw new Error(conflict);
+    }
+
+    const oldSlug = getSlug(websiteId, pagePath, language);
+    if (oldSlug && oldSlug !== newSlug) {
+      upsertRedirect.run({ websiteId, language, oldSlug, path: pagePath });
+    }
+    deleteRedirect.run(websiteId, language, newSlug);
+    upsertSlug.run({ websiteId, path: pagePath, language, slug: newSlug });
+  })();
+
+  return { path: pagePath, language, slug: newSlug };
+}
+
+// Remove a page's slug; it redirects back to the original path
+function removeSlug(websiteId, path, language) {
+  const pagePath = normalizePath(path);
+  return db.transaction(() => {
+    const oldSlug = getSlug(websiteId, pagePath, language);
+    if (!oldSlug) return false;
+
+    if (oldSlug !== pagePath) {
+      upsertRedirect.run({ websiteId, language, oldSlug, path: pagePath });
+    }
+    deleteSlug.run(websiteId, pagePath, language);
+    return true;
+  })();
+}
+
+// "about-us" -> "about us"
+function slugWords(part) {
+  let text = part;
+  try {
+    text = decodeURIComponent(part);
+  } catch (e) {
+    // Malformed escapes are translated as they are
+  }
+  return text.replace(/[-_]+/g, ' ');
+}
+
+// Machine-translate the slugs of every fetched page: each path segment is translated
+// as words ("about-us" -> "about us") and slugified. Existing slugs are kept unless
+// `overwrite` is set. Returns the slugs that were saved.
+async function generateSlugs(website, language, { overwrite = false } = {}) {
+  const paths = findPagePaths.all({ websiteId: website.id })
+    .map(row => row.path)
+    .filter(path => path !== '/' && (overwrite || !getSlug(website.id, path, language)));
+
+  const words = [...new Set(paths.flatMap(path => (
+    path.split('/').filter(Boolean).map(slugWords)
+  )))];
+  if (!words.length) return [];
+
+  const translations = await translateTexts(words, language, website);
+  const translatedWords = new Map(words.map((word, i) => [word, translations[i]]));
+
+  const saved = [];
+  paths.forEach(path => {
+    const parts = path.split('/').filter(Boolean).map(part => {
+      const translation = translatedWords.get(slugWords(part)) || '';
+      return slugify(decodeSegmentText(translation)) || part;
+    });
+
+    // A slug taken by another page is kept apart with the original last segment
+    let slug = `/${parts.join('/')}`;
+    if (findSlugConflict(website.id, path, language, slug)) {
+      slug = `${slug}-${path.split('/').pop()}`;
+    }
+
+    try {
+      saved.push(saveSlug(website.id, path, language, slug));
+    } catch (error) {
+      console.error(`Error saving slug for ${path}:`, error.message);
+    }
+  });
+
+  return saved;
+}
+
+module.exports = {
+  slugify,
+  validateSlug,
+  getSlug,
+  localizePath,
+  resolveSlug,
+  listSlugs,
+  saveSlug,
+  removeSlug,
+  generateSlugs
+};
@@ -0,0 +1,151 @@
+const db = require('./db');
+
+// Diffs freshly extracted segments of a page against the stored ones, so fetching a
+// page again updates it in place instead of adding rows. A stored segment is matched
+// by identity (hash and position), then by the same text at another position (moved),
+// then by the same position with other text (changed). Changed segments go back to
+// 'pending' in every language so only they and new segments are translated again.
+
+const SYNC_STATUSES = ['new', 'unchanged', 'changed', 'removed'];
+
+const findPageSegments = db.prepare(`
+  SELECT id, segment_type, element_type, context, original_text, source_hash, position, sync_status
+  FROM segments
+  WHERE website_id = ? AND path = ?
+  ORDER BY id
+`);
+
+const insertSegment = db.prepare(`
+  INSERT INTO segments (
+    website_id, original_text, path, element_type, segment_type, context, source_hash,
+    position, sync_status, synced_at
+  ) VALUES (
+    @websiteId, @text, @path, @elementType, @segmentType, @context, @sourceHash,
+    @position, 'new', datetime('now')
+  )
+`);
+
+const updateSegment = db.prepare(`
+  UPDATE segments
+  SET original_text = @text, source_hash = @sourceHash, position = @position,
+    sync_status = @syncStatus, synced_at = datetime('now')
+  WHERE id = @id
+`);
+
+const markSegment = db.prepare(`
+  UPDATE segments SET sync_status = ?, synced_at = datetime('now') WHERE id = ?
+`);
+
+// The old translation stays in history; the segment is translated again
+const resetTranslations = db.prepare(`
+  UPDATE translations
+  SET status = 'pending', error = NULL, review_status = 'machine', updated_by = 'sync',
+    updated_at = datetime('now')
+  WHERE segment_id = ?
+`);
+
+// Languages the website has been translated into, for queuing re-translation
+const findWebsiteLanguages = db.prepare(`
+  SELECT DISTINCT t.language
+  FROM translations t
+  JOIN segments s ON t.segment_id = s.id
+  WHERE s.website_id = ?
+  ORDER BY t.language
+`);
+
+// Paths of pages with segments still on them
+const findSyncedPaths = db.prepare(`
+  SELECT DISTINCT path FROM segments
+  WHERE website_id = ? AND sync_status <> 'removed'
+  ORDER BY path
+`);
+
+// Segments only match stored ones of the same type, element and context
+function sameKind(segment, row) {
+  return row.segment_type === segment.segmentType &&
+    row.element_type === segment.elementType &&
+    row.context === segment.context;
+}
+
+// Store the segments extracted from a page (see extractor.js). Pass an empty list for a
+// page that no longer exists. Returns the page's changes:
+// { new: [{ id, text }], changed: [{ id, previousText, text }], removed: [{ id, text }], unchanged }
+const syncPageSegments = db.transaction((websiteId, path, extracted) => {
+  const unmatched = findPageSegments.all(websiteId, path);
+  const changes = { new: [], changed: [], removed: [], unchanged: 0 };
+  let pending = extracted;
+
+  // Pair each pending segment with the first unmatched stored row passing `matches`,
+  // calling `onMatch` for each pair; unpaired segments stay pending
+  const pair = (matches, onMatch) => {
+    pending = pending.filter(segment => {
+      const index = unmatched.findIndex(row => sameKind(segment, row) && matches(segment, row));
+      if (index === -1) return true;
+      const [row] = unmatched.splice(index, 1);
+      onMatch(segment, row);
+      return false;
+    });
+  };
+
+  // The same segment; one that had been removed is back on the page
+  pair(
+    (segment, row) => row.source_hash === segment.sourceHash && row.position === segment.position,
+    (segment, row) => {
+      if (row.sync_status === 'removed') {
+        markSegment.run('new', row.id);
+        changes.new.push({ id: row.id, text: segment.text });
+      } else {
+        markSegment.run('unchanged', row.id);
+        changes.unchanged++;
+      }
+    }
+  );
+
+  // The same text, moved to another position
+  pair(
+    (segment, row) => row.sync_status !== 'removed' && row.source_hash === segment.sourceHash,
+    (segment, row) => {
+      updateSegment.run({ ...segment, id: row.id, syncStatus: 'unchanged' });
+      changes.unchanged++;
+    }
+  );
+
+  // Other text at the same position
+  pair(
+    (segment, row) => row.sync_status !== 'removed' && row.position === segment.position,
+    (segment, row) => {
+      updateSegment.run({ ...segment, id: row.id, syncStatus: 'changed' });
+      resetTranslations.run(row.id);
+      changes.changed.push({ id: row.id, previousText: row.original_text, text: segment.text });
+    }
+  );
+
+  pending.forEach(segment => {
+    const result = insertSegment.run({ ...segment, websiteId, path });
+    changes.new.push({ id: Number(result.lastInsertRowid), text: segment.text });
+  });
+
+  unmatched
+    .filter(row => row.sync_status !== 'removed')
+    .forEach(row => {
+      markSegment.run('removed', row.id);
+      changes.removed.push({ id: row.id, text: row.original_text });
+    });
+
+  return changes;
+});
+
+function getWebsiteLanguages(websiteId) {
+  return findWebsiteLanguages.all(websiteId).map(row => row.language);
+}
+
+function getSyncedPaths(websiteId) {
+  return findSyncedPaths.all(websiteId).map(row => row.path);
+}
+
+module.exports = {
+  SYNC_STATUSES,
+  syncPageSegments,
+  getWebsiteLanguages,
+  getSyncedPaths
+};
@@ -0,0 +1,252 @@
+const db = require('./db');
+const providers = require('./providers');
+const { resolveProviders } = require('./providers/settings');
+const { mapWithConcurrency } = require('./utils/concurrency');
+const memory = require('./memory');
+const glossary = require('./glossary');
+const qa = require('./qa');
+
+// Batch limits keep requests within what providers accept in a single call
+const BATCH_SIZE = Number(process.env.TRANSLATION_BATCH_SIZE) || 50;
+const BATCH_MAX_CHARS = Number(process.env.TRANSLATION_BATCH_MAX_CHARS) || 5000;
+const CONCURRENCY = Number(process.env.TRANSLATION_CONCURRENCY) || 4;
+
+// Every segment gets a 'pending' row for a language before it is translated,
+// so its status is explicit from the moment a translation run is requested
+const insertPendingTranslations = db.prepare(`
+  INSERT OR IGNORE INTO translations (segment_id, language, status)
+  SELECT id, ?, 'pending' FROM segments WHERE website_id = ? AND sync_status <> 'removed'
+`);
+
+const findSegmentsByStatus = db.prepare(`
+  SELECT s.*
+  FROM segments s
+  JOIN translations t ON t.segment_id = s.id AND t.language = ?
+  WHERE s.website_id = ? AND t.status = ? AND s.sync_status <> 'removed'
+`);
+
+const countSegmentsByStatus = db.prepare(`
+  SELECT COUNT(*) AS count
+  FROM segments s
+  LEFT JOIN translations t ON t.segment_id = s.id AND t.language = ?
+  WHERE s.website_id = ? AND COALESCE(t.status, 'pending') = ? AND s.sync_status <> 'removed'
+`);
+
+// Machine output never replaces a translation a person has edited or reviewed
+const markTranslated = db.prepare(`
+  UPDATE translations
+  SET translated_text = @translatedText, status = 'translated', error = NULL, provider = @provider,
+    updated_by = 'machine:' || @provider, attempts = attempts + 1,
+    last_attempt_at = datetime('now'), updated_at = datetime('now')
+  WHERE segment_id = @segmentId AND language = @language AND review_status = 'machine'
+`);
+
+const findWebsiteOwner = db.prepare('SELECT user_id FROM websites WHERE id = ?');
+
+const markFailed = db.prepare(`
+  UPDATE translations
+  SET status = 'failed', error = ?,
+    attempts = attempts + 1, last_attempt_at = datetime('now'), updated_at = datetime('now')
+  WHERE segment_id = ? AND language = ?
+`);
+
+// Split texts into batches bounded by both item count and total characters
+function createBatches(texts) {
+  const batches = [];
+  let current = [];
+  let currentChars = 0;
+
+  for (const text of texts) {
+    if (current.length && (current.length >= BATCH_SIZE || currentChars + text.length > BATCH_MAX_CHARS)) {
+      batches.push(current);
+      current = [];
+      currentChars = 0;
+    }
+    current.push(text);
+    currentChars += text.length;
+  }
+
+  if (current.length) batches.push(current);
+  return batches;
+}
+
+// Glossary terms are swapped for placeholders before the provider sees the text
+// and replaced by the term or its fixed translation afterwards
+async function translateBatch(batch, targetLanguage, website, providerNames, rules) {
+  const protectedBatch = batch.map(text => glossary.protectTerms(text, rules));
+
+  // Segment text is escaped HTML with inline placeholder tags (see segmenter.js)
+  const result = await providers.translate(protectedBatch.map(item => item.text), {
+    source: website.source_language,
+    target: targetLanguage,
+    format: 'html',
+    providerNames
+  });
+
+  return {
+    ...result,
+    translations: result.translations.map((translation, i) => (
+      glossary.restoreTerms(translation, protectedBatch[i].tokens)
+    ))
+  };
+}
+
+// Memory entries may come from the owner's other websites, so they must also satisfy
+// this website's glossary
+function findMemoryMatch(text, targetLanguage, website, rules, ownerId) {
+  const entry = memory.findExactMatch(text, website.source_language, targetLanguage, ownerId);
+  if (!entry || glossary.findViolations(text, entry.target_text, rules).length) return null;
+
+  memory.markUsed(entry.id);
+  return entry;
+}
+
+function rememberMachineTranslation(text, translation, targetLanguage, website, provider) {
+  memory.remember({
+    sourceText: text,
+    sourceLanguage: website.source_language,
+    targetLanguage,
+    targetText: translation,
+    origin: 'machine',
+    provider,
+    websiteId: website.id
+  });
+}
+
+// Translate a list of texts in batches; identical texts are only sent once and
+// exact translation memory matches are not sent at all.
+// Returns translations in the same order as `texts`. Rejects if any batch fails.
+async function translateTexts(texts, targetLanguage, website) {
+  const translated = new Map();
+  const uncached = [];
+  const rules = glossary.getRules(website.id, targetLanguage);
+  const ownerId = findWebsiteOwner.get(website.id).user_id;
+
+  new Set(texts).forEach(text => {
+    const entry = findMemoryMatch(text, targetLanguage, website, rules, ownerId);
+    if (entry) {
+      translated.set(text, entry.target_text);
+    } else {
+      uncached.push(text);
+    }
+  });
+
+  const providerNames = resolveProviders(website.id, targetLanguage);
+
+  await mapWithConcurrency(createBatches(uncached), CONCURRENCY, async (batch) => {
+    const { translations, provider } = await translateBatch(batch, targetLanguage, website, providerNames, rules);
+    batch.forEach((text, i) => {
+      translated.set(text, translations[i]);
+      rememberMachineTranslation(text, translations[i], targetLanguage, website, provider);
+    });
+  });
+
+  return texts.map(text => translated.get(text));
+}
+
+// Store machine output for a segment and check it (see qa.js), unless a person has
+// edited the translation in the meantime
+function saveTranslation(segment, targetLanguage, translatedText, provider) {
+  const result = markTranslated.run({ translatedText, provider, segmentId: segment.id, language: targetLanguage });
+  if (result.changes) qa.checkTranslation(segment.id, targetLanguage);
+}
+
+// Number of segments a run would translate: pending ones, or failed ones when retrying
+function countUntranslated(website, targetLanguage, { status = 'pending' } = {}) {
+  return countSegmentsByStatus.get(targetLanguage, website.id, status).count;
+}
+
+// Translate the pending segments of a website into one language, or only the failed
+// ones with `status: 'failed'`.
+// Repeated text (navigation, footers, buttons) is translated once and fanned out
+// to every segment that contains it; text already in translation memory is reused
+// without calling a provider. Each batch is saved as soon as it returns, so
+// an aborted run (see `signal`) keeps its finished batches and can simply be re-run.
+// A batch that fails on every provider marks its segments as failed with the reason.
+async function translateWebsite(website, targetLanguage, { status = 'pending', signal, onProgress, onError } = {}) {
+  insertPendingTranslations.run(targetLanguage, website.id);
+
+  const untranslated = findSegmentsByStatus.all(targetLanguage, website.id, status);
+  const segmentsByText = new Map();
+  untranslated.forEach(segment => {
+    const segments = segmentsByText.get(segment.original_text) || [];
+    segments.push(segment);
+    segmentsByText.set(segment.original_text, segments);
+  });
+
+  const uniqueTexts = segmentsByText.size;
+  const rules = glossary.getRules(website.id, targetLanguage);
+  const ownerId = findWebsiteOwner.get(website.id).user_id;
+
+  const fromMemory = db.transaction(() => {
+    let reused = 0;
+    for (const [text, segments] of segmentsByText) {
+      const entry = findMemoryMatch(text, targetLanguage, website, rules, ownerId);
+      if (!entry) continue;
+
+      segments.forEach(segment => {
+        saveTranslation(segment, targetLanguage, entry.target_text, 'memory');
+      });
+      reused += segments.length;
+      segmentsByText.delete(text);
+    }
+    return reused;
+  })();
+  if (fromMemory && onProgress) onProgress(fromMemory);
+
+  const providerNames = resolveProviders(website.id, targetLanguage);
+  const batches = createBatches([...segmentsByText.keys()]);
+  let failed = 0;
+
+  await mapWithConcurrency(batches, CONCURRENCY, async (batch) => {
+    if (signal?.aborted) return;
+
+    let result;
+    let batchError;
+    try {
+      result = await translateBatch(batch, targetLanguage, website, providerNames, rules);
+    } catch (error) {
+      console.error('Translation error:', error.message);
+      batchError = error;
+    }
+
+    const saveBatch = db.transaction(() => {
+      let saved = 0;
+      batch.forEach((text, i) => {
+        segmentsByText.get(text).forEach(segment => {
+          if (result) {
+            saveTranslation(segment, targetLanguage, result.translations[i], result.provider);
+          } else {
+            markFailed.run(batchError.message, segment.id, targetLanguage);
+          }
+          saved++;
+        });
+        if (result) {
+          rememberMachineTranslation(text, result.translations[i], targetLanguage, website, result.provider);
+        }
+      });
+      return saved;
+    });
+
+    const saved = saveBatch();
+    if (batchError) {
+      failed += saved;
+      if (onError) onError(`${targetLanguage}: ${saved} segment(s) failed: ${batchError.message}`);
+    }
+    if (onProgress) onProgress(saved);
+  });
+
+  return {
+    segments: untranslated.length,
+    uniqueTexts,
+    fromMemory,
+    failed
+  };
+}
+
+module.exports = {
+  createBatches,
+  countUntranslated,
+  translateTexts,
+  translateWebsite
+};
@@ -0,0 +1,16 @@
+// ?language=fr&path=/about -> { language: 'fr', path: '/about' } for the named filters,
+// null when left out or empty, or { error } when one is repeated (?language=fr&language=de
+// arrives as an array) or nested (?language[a]=fr arrives as an object)
+function parseFilters(query, names) {
+  const filters = {};
+  for (const name of names) {
+    const value = query[name];
+    if (value !== undefined && typeof value !== 'string') {
+      return { error: `${name} must be a single value` };
+    }
+    filters[name] = value || null;
+  }
+  return { filters };
+}
+
+module.exports = { parseFilters };
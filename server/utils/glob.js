@@ -0,0 +1,20 @@
+// Path globs for include/exclude rules: `*` matches within one path segment, `**`
+// across segments and `?` one character, e.g. "/blog/**" or "/*/print".
+function globToRegExp(glob) {
+  const pattern = glob
+    .split(/(\*\*|\*|\?)/)
+    .map(part => {
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${pattern}$`);
+}
+
+function matchesAny(path, globs) {
+  return globs.some(glob => globToRegExp(glob).test(path));
+}
+
+module.exports = { globToRegExp, matchesAny };
@@ -0,0 +1,52 @@
+// In-memory cache evicting the least recently used entry beyond `maxEntries`.
+// A Map keeps insertion order, so re-inserting an entry marks it as recently used.
+function createLruCache(maxEntries) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      if (!entries.has(key)) return undefined;
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+
+    set(key, value) {
+      if (maxEntries <= 0) return;
+      entries.delete(key);
+      entries.set(key, value);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    delete(key) {
+      return entries.delete(key);
+    },
+
+    // Remove every entry whose key passes `predicate`; returns how many were removed
+    deleteWhere(predicate) {
+      let removed = 0;
+      for (const key of [...entries.keys()]) {
+        if (predicate(key, entries.get(key))) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    clear() {
+      const removed = entries.size;
+      entries.clear();
+      return removed;
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+module.exports = { createLruCache };
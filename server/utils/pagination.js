@@ -0,0 +1,23 @@
+const DEFAULT_PER_PAGE = 50;
+const MAX_PER_PAGE = 500;
+
+// ?page=2&perPage=50 -> { page, perPage, limit, offset }, or { error } for bad values
+function parsePagination(query) {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const perPage = query.perPage === undefined ? DEFAULT_PER_PAGE : Number(query.perPage);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page must be a positive integer' };
+  }
+  if (!Number.isInteger(perPage) || perPage < 1 || perPage > MAX_PER_PAGE) {
+    return { error: `perPage must be an integer from 1 to ${MAX_PER_PAGE}` };
+  }
+  return { page, perPage, limit: perPage, offset: (page - 1) * perPage };
+}
+
+// The `pagination` object of a paginated response
+function paginationInfo({ page, perPage }, total) {
+  return { page, perPage, total, pageCount: Math.ceil(total / perPage) };
+}
+
+module.exports = { DEFAULT_PER_PAGE, MAX_PER_PAGE, parsePagination, paginationInfo };
@@ -0,0 +1,8 @@
+// Page paths are stored and looked up as "/about": leading slash, no trailing slash,
+// no query string or fragment
+function normalizePath(path) {
+  const pathname = `/${path || ''}`.split(/[?#]/)[0].replace(/\/{2,}/g, '/');
+  return pathname.length > 1 ? pathname.replace(/\/$/, '') : pathname;
+}
+
+module.exports = { normalizePath };
@@ -0,0 +1,92 @@
+const cheerio = require('cheerio');
+const db = require('./db');
+const { CONTENT_TYPES, safeRequest } = require('./fetcher');
+const { getOrigin } = require('./render');
+
+// Domain ownership. A website's translations are only published (through /view, the
+// asset proxy and the client endpoints) once its owner has put the website's token on
+// the domain, either as a meta tag on the home page or as a file. Only one website per
+// domain can be verified: verifying one unpublishes any other account's copy.
+
+const VERIFICATION_METHODS = ['meta', 'file'];
+const META_NAME = 'website-translator-verification';
+const FILE_PATH = '/.well-known/website-translator-verification.txt';
+
+const findVerification = db.prepare(`
+  SELECT id, domain, verification_token, verification_method, verified_at
+  FROM websites WHERE id = ?
+`);
+
+const markVerified = db.prepare(`
+  UPDATE websites SET verification_method = ?, verified_at = datetime('now') WHERE id = ?
+`);
+
+const unverifyOtherWebsites = db.prepare(`
+  UPDATE websites SET verification_method = NULL, verified_at = NULL
+  WHERE domain = ? AND id <> ? AND verified_at IS NOT NULL
+`);
+
+const verify = db.transaction((website, method) => {
+  unverifyOtherWebsites.run(website.domain, website.id);
+  markVerified.run(method, website.id);
+});
+
+// Verification status and instructions for both methods
+function getVerification(websiteId) {
+  const website = findVerification.get(websiteId);
+  if (!website) return null;
+
+  const origin = getOrigin(website.domain);
+  return {
+    domain: website.domain,
+    verified: Boolean(website.verified_at),
+    method: website.verification_method,
+    verifiedAt: website.verified_at,
+    token: website.verification_token,
+    metaTag: `<meta name="${META_NAME}" content="${website.verification_token}">`,
+    metaUrl: `${origin}/`,
+    fileUrl: `${origin}${FILE_PATH}`
+  };
+}
+
+// Whether the token is on the domain using `method`
+async function findToken(verification, method) {
+  if (method === 'file') {
+    const response = await safeRequest(verification.fileUrl, { maxBytes: 1024 });
+    return String(response.data).trim() === verification.token;
+  }
+
+  const response = await safeRequest(verification.metaUrl, { accept: CONTENT_TYPES.html });
+  const $ = cheerio.load(response.data);
+  return $(`meta[name="${META_NAME}"]`).toArray()
+    .some(element => ($(element).attr('content') || '').trim() === verification.token);
+}
+
+// Check the domain for the token and mark the website verified if it is there. Returns
+// { verified, error }; fetch failures are reported, not thrown.
+async function verifyDomain(websiteId, method) {
+  const verification = getVerification(websiteId);
+
+  let found;
+  try {
+    found = await findToken(verification, method);
+  } catch (error) {
+    console.error(`Error verifying ${verification.domain}:`, error.message);
+    return {
+      verified: false,
+      error: method === 'file' ? 'The verification file could not be fetched' : 'The home page could not be fetched'
+    };
+  }
+
+  if (!found) {
+    return {
+      verified: false,
+      error: method === 'file' ? 'The verification file does not contain the token' : 'The verification meta tag was not found'
+    };
+  }
+
+  verify({ id: websiteId, domain: verification.domain }, method);
+  return { verified: true, error: null };
+}
+
+module.exports = { VERIFICATION_METHODS, getVerification, verifyDomain };
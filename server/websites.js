@@ -0,0 +1,150 @@
+const db = require('./db');
+const { getOrigin } = require('./render');
+const { purge } = require('./render/cache');
+
+// Websites belong to the user who registered them (see accounts.js). Renaming one to
+// another domain makes it unverified again with a new token, since ownership of the
+// old domain says nothing about the new one.
+
+const insertWebsite = db.prepare(`
+  INSERT INTO websites (domain, user_id, source_language, verification_token, created_at)
+  VALUES (@domain, @userId, @sourceLanguage, lower(hex(randomblob(16))), datetime('now'))
+`);
+
+const findWebsiteByDomain = db.prepare(`
+  SELECT * FROM websites WHERE domain = ? AND user_id = ?
+`);
+
+const findWebsiteById = db.prepare('SELECT * FROM websites WHERE id = ? AND user_id = ?');
+
+const findWebsiteStats = db.prepare(`
+  SELECT
+    (SELECT COUNT(*) FROM crawled_pages WHERE website_id = @id) AS page_count,
+    (SELECT COUNT(*) FROM segments WHERE website_id = @id AND sync_status <> 'removed') AS segment_count
+`);
+
+const findLanguages = db.prepare(`
+  SELECT DISTINCT t.language FROM translations t
+  JOIN segments s ON t.segment_id = s.id
+  WHERE s.website_id = ?
+  ORDER BY t.language
+`);
+
+const updateSourceLanguage = db.prepare(`
+  UPDATE websites SET source_language = @sourceLanguage WHERE id = @id
+`);
+
+const updateDomain = db.prepare(`
+  UPDATE websites
+  SET domain = @domain, verification_token = lower(hex(randomblob(16))),
+    verification_method = NULL, verified_at = NULL
+  WHERE id = @id
+`);
+
+const updatePageUrls = db.prepare(`
+  UPDATE crawled_pages SET url = @origin || path, canonical_url = NULL WHERE website_id = @id
+`);
+
+const countActiveJobs = db.prepare(`
+  SELECT COUNT(*) AS count FROM jobs WHERE website_id = ? AND status IN ('queued', 'running')
+`);
+
+const deleteWebsiteById = db.prepare('DELETE FROM websites WHERE id = ?');
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+// Returns an error message, or null for a bare host name such as "example.com"
+function validateDomain(domain) {
+  if (typeof domain !== 'string' || !domain) {
+    return 'domain is required';
+  }
+  try {
+    if (new URL(`http://${domain}`).hostname !== domain.toLowerCase()) {
+      return 'domain must be a host name such as example.com';
+    }
+  } catch (e) {
+    return 'domain must be a host name such as example.com';
+  }
+  return null;
+}
+
+function validateSourceLanguage(language) {
+  return typeof language === 'string' && LANGUAGE_PATTERN.test(language)
+    ? null
+    : 'sourceLanguage must be a language code such as en or pt-BR';
+}
+
+function createWebsite({ domain, userId, sourceLanguage = 'en' }) {
+  const result = insertWebsite.run({ domain: domain.toLowerCase(), userId, sourceLanguage });
+  console.log('Created new website:', domain);
+  return findWebsiteById.get(result.lastInsertRowid, userId);
+}
+
+// Find the user's website for a domain, creating it on first use. Other accounts may
+// register the same domain; only the one that verifies it gets published.
+const findOrCreateWebsite = db.transaction((domain, userId) => (
+  findWebsiteByDomain.get(domain, userId) || createWebsite({ domain, userId })
+));
+
+function findUserWebsiteByDomain(domain, userId) {
+  return findWebsiteByDomain.get(domain, userId) || null;
+}
+
+// A website with its page and segment counts and translated languages
+function getWebsite(websiteId, userId) {
+  const website = findWebsiteById.get(websiteId, userId);
+  if (!website) return null;
+
+  return {
+    ...website,
+    ...findWebsiteStats.get({ id: website.id }),
+    languages: findLanguages.all(website.id).map(row => row.language)
+  };
+}
+
+// Apply { domain, sourceLanguage } changes. Returns 'exists' if the user already has a
+// website for the new domain, or the updated website.
+function updateWebsite(websiteId, userId, { domain, sourceLanguage }) {
+  const website = findWebsiteById.get(websiteId, userId);
+  const newDomain = domain && domain.toLowerCase();
+
+  if (newDomain && newDomain !== website.domain) {
+    if (findWebsiteByDomain.get(newDomain, userId)) return 'exists';
+
+    db.transaction(() => {
+      updateDomain.run({ id: website.id, domain: newDomain });
+      updatePageUrls.run({ id: website.id, origin: getOrigin(newDomain) });
+    })();
+    purge({ domain: website.domain });
+  }
+
+  if (sourceLanguage && sourceLanguage !== website.source_language) {
+    updateSourceLanguage.run({ id: website.id, sourceLanguage });
+  }
+
+  return getWebsite(website.id, userId);
+}
+
+function hasActiveJobs(websiteId) {
+  return countActiveJobs.get(websiteId).count > 0;
+}
+
+// Delete a website with everything stored for it; the database cascades to its pages,
+// segments, translations, settings, slugs, jobs and sync runs
+function deleteWebsite(websiteId, userId) {
+  const website = findWebsiteById.get(websiteId, userId);
+  deleteWebsiteById.run(website.id);
+  purge({ domain: website.domain });
+}
+
+module.exports = {
+  validateDomain,
+  validateSourceLanguage,
+  createWebsite,
+  findOrCreateWebsite,
+  findUserWebsiteByDomain,
+  getWebsite,
+  updateWebsite,
+  hasActiveJobs,
+  deleteWebsite
+};